@@ -0,0 +1,72 @@
+// Build the site into dist/, which is what gets deployed. js/main.js (the page)
+// and js/component.js (the <safra-ar> element for other pages) are bundled with
+// three.js and MindAR into js/main.min.js and js/component.min.js, so both run
+// entirely from our own origin. index.html falls back to the CDN import map and
+// the unbundled modules, which are copied as well, when the bundle is missing.
+//
+// Source maps go to sourcemaps/ rather than dist/, so they are not deployed.
+//
+//   npm run build
+import { build } from 'esbuild';
+import { cpSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { basename, dirname } from 'node:path';
+
+const OUT_DIR = 'dist';
+const MAP_DIR = 'sourcemaps';
+
+// Everything the site serves besides the bundles
+const SHIPPED = ['index.html', 'style.min.css', 'sw.js', 'scene.json', 'safra.mp3', 'js', 'locales', 'models', 'targets'];
+
+// The bundle index.html loads, which the service worker caches on install
+const PAGE_BUNDLE = 'js/main.min.js';
+
+rmSync(OUT_DIR, { recursive: true, force: true });
+rmSync(MAP_DIR, { recursive: true, force: true });
+
+SHIPPED.forEach(path => {
+  cpSync(path, `${OUT_DIR}/${path}`, {
+    recursive: true,
+    filter: source => !source.endsWith('.min.js') && !source.endsWith('.map')
+  });
+});
+
+const result = await build({
+  entryPoints: {
+    'js/main.min': 'js/main.js',
+    'js/component.min': 'js/component.js'
+  },
+  outdir: OUT_DIR,
+  write: false,
+  bundle: true,
+  format: 'esm',
+  target: 'es2020',
+  minify: true,
+  sourcemap: 'external',
+  // The same specifier index.html's import map gives MindAR
+  alias: {
+    'mindar-image-three': 'mind-ar/dist/mindar-image-three.prod.js'
+  },
+  // MindAR's TensorFlow.js only reaches for these under Node, behind checks
+  // that are false in a browser, so leave them unresolved
+  external: ['fs', 'util', 'buffer', 'string_decoder', 'node-fetch'],
+  logLevel: 'info'
+});
+
+result.outputFiles.forEach(file => {
+  const path = file.path.endsWith('.map')
+    ? `${MAP_DIR}/${basename(file.path)}`
+    : file.path;
+
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, file.contents);
+});
+
+// The service worker in the checkout precaches no bundle, as there is none
+// there; the deployed one precaches the page's
+const swPath = `${OUT_DIR}/sw.js`;
+const sw = readFileSync(swPath, 'utf8');
+const runtimeModules = /const RUNTIME_MODULES = \[[^\]]*\];/;
+if (!runtimeModules.test(sw)) {
+  throw new Error('sw.js: RUNTIME_MODULES not found');
+}
+writeFileSync(swPath, sw.replace(runtimeModules, `const RUNTIME_MODULES = ['${PAGE_BUNDLE}'];`));
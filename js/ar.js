@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { MindARThree } from 'mindar-image-three';
+import { t } from './locales.js';
+import { applyPlacement, loadPlacement } from './placement.js';
+import { loadSceneContent, stopSceneSequence, handleTargetFound, handleTargetLost, updateScene } from './scene.js';
+
+// Ask for camera access up front so a refusal gets a clear message.
+// The stream is stopped straight away; MindAR requests it again.
+export async function requestCameraAccess() {
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+    stream.getTracks().forEach(track => track.stop());
+  } catch (cameraError) {
+    console.error('Camera permission denied:', cameraError);
+    throw new Error(t('errorCameraDenied'));
+  }
+}
+
+// Initialize MindAR with target tracking
+export async function initializeAR(experience) {
+  const { manifest } = experience;
+
+  try {
+    // The target file is fetched by the preloader; without it there is nothing to track
+    const targetSrc = experience.assets.getObjectURL(manifest.target);
+    if (!targetSrc) {
+      console.error('Target file does not exist or is not accessible');
+      throw new Error(t('errorTarget'));
+    }
+
+    const mindarThree = new MindARThree({
+      container: experience.container,
+      imageTargetSrc: targetSrc,
+      maxTrack: manifest.playback === 'concurrent' ? manifest.scenes.length : 1,
+      uiScanning: true, // Show scanning UI
+      uiLoading: true, // We use our own loading UI
+      rendererOptions: {
+        antialias: true,
+        alpha: true, // Enable transparency
+        logarithmicDepthBuffer: true,
+        outputColorSpace: THREE.SRGBColorSpace,
+        sortObjects: true // Enable manual sorting of transparent objects
+      },
+      filterMinCF: 0.0001, // More sensitive tracking
+      filterBeta: 0.005,   // More stable tracking, less jitter
+      missTolerance: 12,   // Keep showing object longer when target is lost (increased from 5)
+      warmupTolerance: 5,  // Number of frames to wait before showing object when target is found
+      mirrorVideo: true    // Mirror the camera feed like a selfie camera
+    });
+
+    const { renderer, scene, camera } = mindarThree;
+    Object.assign(experience, { mindarThree, renderer, scene, camera });
+
+    // Ensure transparent background
+    renderer.setClearColor(0x000000, 0); // Set clear color with 0 alpha (fully transparent)
+
+    // Add lighting
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
+    directionalLight.position.set(1, 2, 3);
+    scene.add(directionalLight);
+
+    const ambientLight = new THREE.AmbientLight(0xffffff, 1.0);
+    scene.add(ambientLight);
+
+    // One anchor and scene per target image
+    experience.runtimes = [];
+
+    for (const definition of manifest.scenes) {
+      const anchor = mindarThree.addAnchor(definition.targetIndex);
+
+      // Create a parent container for all models and effects
+      const containerGroup = new THREE.Group();
+
+      // Place the container on the poster - this will affect everything inside it.
+      // Starts from the last adjustment made with gestures, if the scene keeps one.
+      const placement = loadPlacement(manifest, definition);
+      applyPlacement(containerGroup, placement);
+
+      // Add the container to the anchor
+      anchor.group.add(containerGroup);
+
+      // Load the scene; its sequence starts when the target is found
+      const runtime = await loadSceneContent(experience, definition, containerGroup);
+      Object.assign(runtime, { anchor, group: containerGroup, placement });
+      experience.runtimes.push(runtime);
+
+      // Add event listeners for target found/lost
+      anchor.onTargetFound = () => {
+        handleTargetFound(experience, runtime);
+      };
+
+      anchor.onTargetLost = () => {
+        handleTargetLost(experience, runtime);
+      };
+    }
+
+    // Animation loop
+    renderer.setAnimationLoop(() => {
+      const delta = experience.clock.getDelta();
+
+      experience.runtimes.forEach(runtime => {
+        updateScene(runtime, delta);
+      });
+      experience.picker.update();
+
+      renderer.render(scene, camera);
+    });
+
+    // Add cleanup function to mindarThree
+    mindarThree.cleanup = () => {
+      experience.runtimes.forEach(runtime => {
+        stopSceneSequence(runtime);
+
+        // Remove event listeners
+        runtime.anchor.onTargetFound = null;
+        runtime.anchor.onTargetLost = null;
+      });
+    };
+
+    return mindarThree;
+  } catch (error) {
+    console.error('Error initializing AR:', error);
+    throw error;
+  }
+}
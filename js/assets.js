@@ -0,0 +1,164 @@
+// Create an asset loader that fetches every asset up front with progress reporting
+export function createAssetLoader() {
+  return {
+    assets: {}, // Absolute URL -> { url, label, status, loaded, total, attempts, error }
+    buffers: {}, // Absolute URL -> ArrayBuffer
+    types: {}, // Absolute URL -> Content-Type
+    objectURLs: {}, // Absolute URL -> blob: URL
+    maxRetries: 3,
+    retryDelay: 500, // Doubled after each failed attempt
+
+    // Resolve a path against the page so the same file always has the same key
+    resolve(url) {
+      return new URL(url, document.baseURI).href;
+    },
+
+    // Fetch a file, reporting bytes as they arrive
+    async fetchWithProgress(url, onProgress) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const contentType = response.headers.get('Content-Type') || '';
+      const total = Number(response.headers.get('Content-Length')) || 0;
+
+      // No streaming support - report the whole file at once
+      if (!response.body || !response.body.getReader) {
+        const buffer = await response.arrayBuffer();
+        onProgress(buffer.byteLength, buffer.byteLength);
+        return { buffer, contentType };
+      }
+
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        chunks.push(value);
+        loaded += value.byteLength;
+        // Content-Length is the compressed size when the server gzips the file
+        onProgress(loaded, Math.max(total, loaded));
+      }
+
+      // Join the chunks into a single buffer
+      const bytes = new Uint8Array(loaded);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+      });
+
+      onProgress(loaded, loaded);
+      return { buffer: bytes.buffer, contentType };
+    },
+
+    // Load one asset, retrying with exponential backoff
+    async loadAsset(asset, onChange) {
+      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+        asset.attempts = attempt + 1;
+        asset.status = 'loading';
+        asset.loaded = 0;
+        onChange();
+
+        try {
+          const { buffer, contentType } = await this.fetchWithProgress(asset.url, (loaded, total) => {
+            asset.loaded = loaded;
+            asset.total = total;
+            onChange();
+          });
+
+          this.buffers[asset.url] = buffer;
+          this.types[asset.url] = contentType;
+          asset.status = 'done';
+          onChange();
+          return;
+        } catch (error) {
+          asset.error = error;
+
+          // Client errors such as 404 will not fix themselves
+          const retryable = !(error.status >= 400 && error.status < 500);
+
+          if (attempt === this.maxRetries || !retryable) {
+            console.error(`Failed to preload ${asset.label} after ${asset.attempts} attempts:`, error);
+            asset.status = 'failed';
+            onChange();
+            return;
+          }
+
+          const delay = this.retryDelay * Math.pow(2, attempt);
+          console.warn(`Retrying ${asset.label} in ${delay}ms:`, error);
+          asset.status = 'retrying';
+          onChange();
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    },
+
+    // Load a list of { url, label } in parallel. Files already loaded are
+    // skipped, and ones that failed before are tried again. onProgress
+    // receives { loaded, total, percent, assets } whenever anything changes.
+    async preload(entries, onProgress = () => {}) {
+      const assets = [];
+
+      entries.forEach(({ url, label }) => {
+        const key = this.resolve(url);
+        if (this.assets[key] && this.assets[key].status !== 'failed') return;
+
+        const asset = { url: key, label: label || url, status: 'pending', loaded: 0, total: 0, attempts: 0, error: null };
+        this.assets[key] = asset;
+        assets.push(asset);
+      });
+
+      const report = () => {
+        const loaded = assets.reduce((sum, asset) => sum + asset.loaded, 0);
+        // Until an asset's size is known, count what has arrived so far
+        const total = assets.reduce((sum, asset) => sum + Math.max(asset.total, asset.loaded), 0);
+        const finished = assets.filter(asset => asset.status === 'done' || asset.status === 'failed').length;
+        const percent = total > 0 && finished < assets.length ? Math.floor(loaded / total * 100) : 100;
+
+        onProgress({ loaded, total, percent: Math.min(percent, 100), assets });
+      };
+
+      report();
+      await Promise.all(assets.map(asset => this.loadAsset(asset, report)));
+
+      return assets.filter(asset => asset.status === 'failed');
+    },
+
+    // Get a preloaded file's contents, or null if it was not preloaded
+    getBuffer(url) {
+      return this.buffers[this.resolve(url)] || null;
+    },
+
+    // Get a blob: URL for a preloaded file, or null if it was not preloaded
+    getObjectURL(url) {
+      const key = this.resolve(url);
+      if (this.objectURLs[key]) {
+        return this.objectURLs[key];
+      }
+
+      const buffer = this.buffers[key];
+      if (!buffer) {
+        return null;
+      }
+
+      this.objectURLs[key] = URL.createObjectURL(new Blob([buffer], { type: this.types[key] }));
+      return this.objectURLs[key];
+    },
+
+    // Forget everything that was preloaded
+    clear() {
+      Object.values(this.objectURLs).forEach(objectURL => URL.revokeObjectURL(objectURL));
+      this.assets = {};
+      this.buffers = {};
+      this.types = {};
+      this.objectURLs = {};
+    }
+  };
+}
@@ -0,0 +1,665 @@
+import * as THREE from 'three';
+
+const DUCK_RAMP_TIME = 0.5; // Seconds to duck or restore a level
+const AUDIO_PREFERENCES_KEY = 'safra-ar-audio';
+
+// The page's audio context, shared by every experience. Browsers limit how
+// many can be open, so restarting must not create another.
+let sharedContext = null;
+
+// Get the audio context shared by every track, creating it the first time
+export function initAudio() {
+  if (sharedContext && sharedContext.state !== 'closed') {
+    return sharedContext;
+  }
+
+  try {
+    sharedContext = new (window.AudioContext || window.webkitAudioContext)();
+
+    console.log('Audio system initialized');
+    return sharedContext;
+  } catch (error) {
+    console.error('Failed to initialize audio:', error);
+    return null;
+  }
+}
+
+// Read the volume and mute state saved on an earlier visit
+export function loadAudioPreferences() {
+  const preferences = { volume: 1.0, muted: false };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_PREFERENCES_KEY));
+    if (saved && typeof saved.volume === 'number') {
+      preferences.volume = Math.min(Math.max(saved.volume, 0), 1);
+    }
+    if (saved && typeof saved.muted === 'boolean') {
+      preferences.muted = saved.muted;
+    }
+  } catch (error) {
+    console.warn('Could not read audio preferences:', error);
+  }
+
+  return preferences;
+}
+
+// Remember the volume and mute state for the next visit
+export function saveAudioPreferences({ volume, muted }) {
+  try {
+    localStorage.setItem(AUDIO_PREFERENCES_KEY, JSON.stringify({ volume, muted }));
+  } catch (error) {
+    console.warn('Could not save audio preferences:', error);
+  }
+}
+
+// Create the output every scene's audio plays through, carrying the
+// listener's volume and mute setting
+export function createAudioOutput(audioContext) {
+  const output = {
+    ...loadAudioPreferences(),
+    gainNode: null,
+
+    // Set the volume (0-1) and remember it
+    setVolume(value) {
+      this.volume = Math.min(Math.max(value, 0), 1);
+      this.apply();
+    },
+
+    // Mute or unmute and remember it
+    setMuted(muted) {
+      this.muted = muted;
+      this.apply();
+    },
+
+    apply() {
+      saveAudioPreferences(this);
+      if (!this.gainNode) return;
+      rampTo(this.gainNode.gain, this.muted ? 0 : this.volume, 0.05, audioContext);
+    },
+
+    // Disconnect from the speakers once nothing plays through it any more
+    dispose() {
+      if (this.gainNode) this.gainNode.disconnect();
+      this.gainNode = null;
+    }
+  };
+
+  if (audioContext) {
+    output.gainNode = audioContext.createGain();
+    output.gainNode.gain.value = output.muted ? 0 : output.volume;
+    output.gainNode.connect(audioContext.destination);
+  }
+
+  return output;
+}
+
+// Resume the context if it is suspended (needed for autoplay policies)
+function resumeContext(audioContext) {
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+}
+
+// Move an AudioParam from where it is now to a value over the given seconds,
+// scheduled on the audio clock so the ramp is sample accurate
+function rampTo(param, value, duration, audioContext) {
+  const now = audioContext.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+
+  if (duration > 0) {
+    param.linearRampToValueAtTime(value, now + duration);
+  } else {
+    param.setValueAtTime(value, now);
+  }
+}
+
+// Decode an audio file, from the copy preloaded by the asset loader when there is one
+export async function loadAudioBuffer(src, audioContext, assets = null) {
+  let data = assets ? assets.getBuffer(src) : null;
+
+  if (!data) {
+    const response = await fetch(src);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    data = await response.arrayBuffer();
+  }
+
+  // decodeAudioData detaches its input, so decode a copy and keep the preloaded one intact
+  return audioContext.decodeAudioData(data.slice(0));
+}
+
+// Create one decoded audio file played through its own gain node.
+// options.loopStart / loopEnd are in seconds; a loopEnd of 0 loops at the end of the file.
+export function createAudioTrack(src, audioContext, options = {}) {
+  const { output = null, volume = 1.0, loop = false, loopStart = 0, loopEnd = 0, type = 'music' } = options;
+
+  const track = {
+    src,
+    type,
+    buffer: null,
+    source: null,
+    gainNode: null,
+    volume,
+    loop,
+    loopStart,
+    loopEnd,
+    startedAt: 0, // Context time at which offset 0 would have played
+    pausedAt: null, // Offset (seconds) to carry on from after pause()
+    markedAt: null, // Offset (seconds) saved by mark(), or null
+    onEnded: null, // Called when the file plays to its end
+
+    get playing() {
+      return this.source !== null;
+    },
+
+    // Decode the file so it can be started without delay
+    async load(assets = null) {
+      if (!audioContext || this.buffer) return;
+
+      const { src: loading } = this;
+      try {
+        const buffer = await loadAudioBuffer(loading, audioContext, assets);
+
+        // Keep the buffer only if the source was not changed while decoding
+        if (this.src === loading) {
+          this.buffer = buffer;
+        }
+      } catch (error) {
+        console.error(`Failed to load audio ${loading}:`, error);
+      }
+    },
+
+    // Switch to another file, such as another language's recording. Stops
+    // playback; call load() again before playing.
+    setSource(value) {
+      if (value === this.src) return;
+
+      this.stop();
+      this.src = value;
+      this.buffer = null;
+    },
+
+    // Map an offset (seconds) into the file, wrapping into the loop region once past it
+    wrapOffset(offset) {
+      const end = this.loopEnd || this.buffer.duration;
+      const length = end - this.loopStart;
+      if (!this.loop || offset < end || length <= 0) return offset;
+      return this.loopStart + (offset - end) % length;
+    },
+
+    // Current position in the file (seconds)
+    getPosition() {
+      if (!this.playing) return this.pausedAt || 0;
+      return this.wrapOffset(audioContext.currentTime - this.startedAt);
+    },
+
+    // Start a new source node at the given offset (seconds)
+    startSource(offset) {
+      const source = audioContext.createBufferSource();
+      source.buffer = this.buffer;
+      source.loop = this.loop;
+      if (this.loop) {
+        source.loopStart = this.loopStart;
+        source.loopEnd = this.loopEnd;
+      }
+      source.connect(this.gainNode);
+
+      source.onended = () => {
+        if (this.source !== source) return;
+        this.source = null;
+        if (this.onEnded) this.onEnded(this);
+      };
+
+      source.start(0, offset);
+      this.source = source;
+      this.startedAt = audioContext.currentTime - offset;
+    },
+
+    // Stop the current source, now or at a context time, without reporting it as ended
+    stopSource(when = 0) {
+      if (!this.source) return;
+
+      const { source } = this;
+      this.source = null;
+      source.stop(when);
+    },
+
+    // Play from the given offset in seconds
+    play(offset = 0) {
+      if (!this.buffer) return;
+
+      this.stopSource();
+      this.pausedAt = null;
+
+      // The sequence may be seeked past the end of a one-shot file
+      if (!this.loop && offset >= this.buffer.duration) return;
+
+      resumeContext(audioContext);
+      rampTo(this.gainNode.gain, this.volume, 0, audioContext);
+      this.startSource(this.wrapOffset(offset));
+    },
+
+    // Fade out over the given duration (ms), then stop
+    fadeOut(duration = 2000) {
+      if (!this.source) return;
+
+      const seconds = duration / 1000;
+      rampTo(this.gainNode.gain, 0, seconds, audioContext);
+      this.stopSource(audioContext.currentTime + seconds);
+      this.pausedAt = null;
+    },
+
+    // Set the volume (0-1), ramping over the given duration (ms)
+    setVolume(value, duration = 0) {
+      this.volume = Math.min(Math.max(value, 0), 1);
+      if (!this.gainNode) return;
+      rampTo(this.gainNode.gain, this.volume, duration / 1000, audioContext);
+    },
+
+    // Pause in place so the sequence can resume from the same position
+    pause() {
+      if (!this.source) return;
+      this.pausedAt = this.getPosition();
+      this.stopSource();
+    },
+
+    // Resume after pause()
+    resume() {
+      if (this.pausedAt === null || !this.buffer) return;
+
+      const offset = this.pausedAt;
+      this.pausedAt = null;
+
+      resumeContext(audioContext);
+      this.startSource(offset);
+    },
+
+    // Remember where playback is now, letting it carry on
+    mark() {
+      this.markedAt = this.source ? this.getPosition() : null;
+    },
+
+    // Play again from where mark() was called, if the track was playing then
+    returnToMark() {
+      if (this.markedAt === null || !this.buffer) return;
+
+      const offset = this.markedAt;
+      this.stopSource();
+      this.pausedAt = null;
+      this.markedAt = null;
+
+      resumeContext(audioContext);
+      rampTo(this.gainNode.gain, this.volume, 0, audioContext);
+      this.startSource(offset);
+    },
+
+    // Stop playback entirely
+    stop() {
+      this.stopSource();
+      this.pausedAt = null;
+      this.markedAt = null;
+    },
+
+    // Stop and let go of the decoded file and the gain node
+    dispose() {
+      this.stop();
+      this.onEnded = null;
+      this.buffer = null;
+      if (this.gainNode) this.gainNode.disconnect();
+    }
+  };
+
+  if (!audioContext) {
+    return track;
+  }
+
+  track.gainNode = audioContext.createGain();
+  track.gainNode.gain.value = volume;
+  track.gainNode.connect(output || audioContext.destination);
+
+  return track;
+}
+
+// Create a track that plays from a point in the scene through a three.js
+// PositionalAudio, so it pans and attenuates with the listener's distance.
+// Add track.sound to the object it should follow. Distances are in the units
+// of options.space (the scene's container) whatever scale the tracker gives it.
+export function createPositionalTrack(src, listener, options = {}) {
+  const {
+    output = null,
+    volume = 1.0,
+    loop = true,
+    refDistance = 1,
+    rolloffFactor = 1,
+    maxDistance = 10000,
+    distanceModel = 'inverse',
+    space = null
+  } = options;
+
+  const { context } = listener;
+  const sound = new THREE.PositionalAudio(listener);
+  sound.setLoop(loop);
+  sound.setVolume(volume);
+  sound.setDistanceModel(distanceModel);
+  sound.setRolloffFactor(rolloffFactor);
+
+  // Mix with the scene's other tracks rather than straight into the listener
+  if (output) {
+    sound.gain.disconnect();
+    sound.gain.connect(output);
+  }
+
+  const worldScale = new THREE.Vector3();
+
+  return {
+    src,
+    type: 'sfx',
+    sound,
+    buffer: null,
+    volume,
+    loop,
+    paused: false,
+
+    get playing() {
+      return sound.isPlaying;
+    },
+
+    // Decode the file so it can be started without delay
+    async load(assets = null) {
+      if (this.buffer) return;
+
+      try {
+        this.buffer = await loadAudioBuffer(src, context, assets);
+        sound.setBuffer(this.buffer);
+      } catch (error) {
+        console.error(`Failed to load audio ${src}:`, error);
+      }
+    },
+
+    // Play from the given offset in seconds
+    play(offset = 0) {
+      if (!this.buffer) return;
+
+      sound.stop();
+      this.paused = false;
+
+      // The sequence may be seeked past the end of a one-shot file
+      if (!loop && offset >= this.buffer.duration) return;
+
+      resumeContext(context);
+      rampTo(sound.gain.gain, this.volume, 0, context);
+      sound.offset = loop ? offset % this.buffer.duration : offset;
+      sound.play();
+    },
+
+    // Fade out over the given duration (ms), then stop
+    fadeOut(duration = 2000) {
+      if (!sound.isPlaying) return;
+
+      const seconds = duration / 1000;
+      rampTo(sound.gain.gain, 0, seconds, context);
+      sound.source.stop(context.currentTime + seconds);
+      this.paused = false;
+    },
+
+    // Set the volume (0-1), ramping over the given duration (ms)
+    setVolume(value, duration = 0) {
+      this.volume = Math.min(Math.max(value, 0), 1);
+      rampTo(sound.gain.gain, this.volume, duration / 1000, context);
+    },
+
+    // Pause in place - PositionalAudio keeps track of the position
+    pause() {
+      if (!sound.isPlaying) return;
+      sound.pause();
+      this.paused = true;
+    },
+
+    // Resume after pause()
+    resume() {
+      if (!this.paused) return;
+      this.paused = false;
+
+      resumeContext(context);
+      sound.play();
+    },
+
+    // Positional sounds are ambient loops, so they simply carry on past a mark
+    mark() {},
+    returnToMark() {},
+
+    // Stop playback entirely
+    stop() {
+      this.paused = false;
+      sound.stop();
+    },
+
+    // Stop, disconnect the sound's nodes and take it out of the scene
+    dispose() {
+      this.stop();
+      this.buffer = null;
+      sound.gain.disconnect();
+      sound.panner.disconnect();
+      sound.removeFromParent();
+    },
+
+    // Keep the distances in scene units as the tracker rescales the scene
+    update() {
+      const scale = space ? space.getWorldScale(worldScale).x : 1;
+      sound.setRefDistance(refDistance * scale);
+      sound.setMaxDistance(maxDistance * scale);
+    }
+  };
+}
+
+// Create the audio for one scene: a music bed and any number of stems, each
+// routed through a bus for its type (music, voice, sfx). Music ducks under
+// voice-over, the whole mix fades at the end of a cycle and ducks while the
+// target is lost. Stems are { id, src, type, volume, loop }. The mix plays
+// into the given output node, or straight to the speakers.
+export function createSceneAudio(audioConfig, stems, audioContext, output = null) {
+  const mix = {
+    music: null, // Music bed from audio.src
+    stems: {}, // Other tracks by id
+    buses: {},
+    sequenceGain: null, // End of cycle fades
+    master: null, // Ducked while the target is lost
+    voiceDuck: audioConfig.voiceDuck,
+    fade: null, // { value, endTime, remaining } of a sequence fade in progress
+
+    tracks() {
+      return [this.music, ...Object.values(this.stems)];
+    },
+
+    // Add a stem ({ id, src, type, volume, loop }) played through its type's bus
+    addStem(stem) {
+      const track = createAudioTrack(stem.src, audioContext, {
+        output: this.buses[stem.type],
+        volume: stem.volume,
+        loop: stem.loop,
+        type: stem.type
+      });
+      this.addTrack(stem.id, track);
+      return track;
+    },
+
+    // Add a track created elsewhere, such as a positional one, under the given id
+    addTrack(id, track) {
+      track.onEnded = () => this.updateVoiceDuck();
+      this.stems[id] = track;
+    },
+
+    // Per-frame upkeep for tracks that follow the scene
+    update() {
+      Object.values(this.stems).forEach(track => {
+        if (track.update) track.update();
+      });
+    },
+
+    // Switch the music bed and stems to the files in an audio config, such as
+    // another locale's. Returns whether anything changed; load() again if so.
+    setSources(config) {
+      const sources = [[this.music, config.src], ...config.stems.map(stem => [this.stems[stem.id], stem.src])];
+      const changed = sources.filter(([track, src]) => track && track.src !== src);
+
+      changed.forEach(([track, src]) => track.setSource(src));
+      return changed.length > 0;
+    },
+
+    // Decode every track
+    async load(assets = null) {
+      await Promise.all(this.tracks().map(track => track.load(assets)));
+    },
+
+    // Start the scene's audio at the given offset (seconds). A looping music bed
+    // carries on across cycles instead of restarting.
+    play(offset = 0) {
+      if (!audioContext) return;
+
+      this.fade = null;
+      rampTo(this.sequenceGain.gain, 1.0, 0, audioContext);
+      rampTo(this.master.gain, 1.0, 0, audioContext);
+
+      Object.values(this.stems).forEach(stem => stem.stop());
+
+      if (!this.music.loop || !this.music.playing) {
+        this.music.play(offset);
+      }
+
+      this.updateVoiceDuck();
+    },
+
+    // Play a stem from the given offset (seconds)
+    playStem(id, offset = 0) {
+      const stem = this.stems[id];
+      if (!stem) return;
+
+      stem.play(offset);
+      this.updateVoiceDuck();
+    },
+
+    // Fade the whole mix to a volume (0-1) over the given duration (ms)
+    fadeTo(value, duration) {
+      if (!audioContext) return;
+
+      this.fade = { value, endTime: audioContext.currentTime + duration / 1000, remaining: 0 };
+      rampTo(this.sequenceGain.gain, value, duration / 1000, audioContext);
+    },
+
+    // Set the volume of the whole mix directly (0-1)
+    setVolume(value) {
+      if (!audioContext) return;
+
+      this.fade = null;
+      rampTo(this.sequenceGain.gain, Math.min(Math.max(value, 0), 1), 0, audioContext);
+    },
+
+    // Fade out every track over the given duration (ms), then stop
+    fadeOut(duration = 2000) {
+      this.fade = null;
+      this.tracks().forEach(track => track.fadeOut(duration));
+      this.updateVoiceDuck();
+    },
+
+    // Duck the whole mix to the given level (0-1), ramping there unless immediate
+    setDuck(level, immediate = false) {
+      if (!audioContext) return;
+      rampTo(this.master.gain, Math.min(Math.max(level, 0), 1), immediate ? 0 : DUCK_RAMP_TIME, audioContext);
+    },
+
+    // Lower the music bed while any voice-over is playing
+    updateVoiceDuck() {
+      if (!audioContext) return;
+
+      const voicePlaying = Object.values(this.stems).some(stem => stem.type === 'voice' && stem.playing);
+      rampTo(this.buses.music.gain, voicePlaying ? this.voiceDuck : 1.0, DUCK_RAMP_TIME, audioContext);
+    },
+
+    // Pause every track in place, holding any fade where it is
+    pause() {
+      this.tracks().forEach(track => track.pause());
+      this.holdFade();
+    },
+
+    // Remember where every track is, letting them carry on with any fade held
+    // where it is, such as while a lost target's sequence is frozen
+    mark() {
+      this.tracks().forEach(track => track.mark());
+      this.holdFade();
+    },
+
+    // Go back to where mark() was called and carry on with any fade from there
+    returnToMark() {
+      this.tracks().forEach(track => track.returnToMark());
+      this.resumeFade();
+      this.updateVoiceDuck();
+    },
+
+    // Hold a sequence fade in progress where it is
+    holdFade() {
+      if (!this.fade) return;
+
+      this.fade.remaining = Math.max(this.fade.endTime - audioContext.currentTime, 0);
+      rampTo(this.sequenceGain.gain, this.sequenceGain.gain.value, 0, audioContext);
+    },
+
+    // Carry on with a fade held by holdFade()
+    resumeFade() {
+      if (this.fade) {
+        this.fadeTo(this.fade.value, this.fade.remaining * 1000);
+      }
+    },
+
+    // Resume after pause(), carrying on with any fade
+    resume() {
+      this.tracks().forEach(track => track.resume());
+      this.resumeFade();
+      this.updateVoiceDuck();
+    },
+
+    // Stop every track
+    stop() {
+      this.fade = null;
+      this.tracks().forEach(track => track.stop());
+      this.updateVoiceDuck();
+    },
+
+    // Stop and free every track, and disconnect the buses
+    dispose() {
+      this.fade = null;
+      this.tracks().forEach(track => track.dispose());
+      this.stems = {};
+
+      if (!audioContext) return;
+      Object.values(this.buses).forEach(bus => bus.disconnect());
+      this.sequenceGain.disconnect();
+      this.master.disconnect();
+    }
+  };
+
+  if (audioContext) {
+    mix.master = audioContext.createGain();
+    mix.master.connect(output || audioContext.destination);
+
+    mix.sequenceGain = audioContext.createGain();
+    mix.sequenceGain.connect(mix.master);
+
+    ['music', 'voice', 'sfx'].forEach(type => {
+      mix.buses[type] = audioContext.createGain();
+      mix.buses[type].connect(mix.sequenceGain);
+    });
+  }
+
+  mix.music = createAudioTrack(audioConfig.src, audioContext, {
+    output: mix.buses.music,
+    loop: audioConfig.loop,
+    loopStart: audioConfig.loopStart / 1000,
+    loopEnd: audioConfig.loopEnd / 1000
+  });
+
+  stems.forEach(stem => mix.addStem(stem));
+
+  return mix;
+}
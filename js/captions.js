@@ -0,0 +1,88 @@
+const CAPTIONS_PREFERENCE_KEY = 'safra-ar-captions';
+
+// Parse a WebVTT timestamp (hh:mm:ss.ttt or mm:ss.ttt) into milliseconds
+function parseTimestamp(value) {
+  const [seconds, minutes = 0, hours = 0] = value.trim().split(':').map(Number).reverse();
+  return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
+}
+
+// Strip WebVTT markup from cue text, keeping the speaker of <v> spans
+function cleanCueText(text) {
+  return text
+    .replace(/<v(?:\.[^\s>]*)?\s+([^>]+)>/g, '$1: ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Parse a WebVTT file into cues of { start, end, text } with times in ms
+export function parseWebVTT(source) {
+  const text = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  if (!text.startsWith('WEBVTT')) {
+    throw new Error('Not a WebVTT file');
+  }
+
+  const cues = [];
+
+  text.split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n');
+
+    // Header, NOTE, STYLE and REGION blocks have no timing line
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [start, rest] = lines[timingIndex].split('-->');
+    const end = rest.trim().split(/\s+/)[0]; // Drop cue settings
+    const cueText = cleanCueText(lines.slice(timingIndex + 1).join('\n'));
+
+    if (cueText) {
+      cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: cueText });
+    }
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// Fetch and parse a caption file, from the copy preloaded by the asset loader when there is one
+export async function loadCaptions(src, assets = null) {
+  const buffer = assets ? assets.getBuffer(src) : null;
+  if (buffer) {
+    return parseWebVTT(new TextDecoder().decode(buffer));
+  }
+
+  const response = await fetch(src);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return parseWebVTT(await response.text());
+}
+
+// Text of the cues showing at a time (ms), one cue per line
+export function getCaptionAt(cues, time) {
+  return cues
+    .filter(cue => time >= cue.start && time < cue.end)
+    .map(cue => cue.text)
+    .join('\n');
+}
+
+// Whether captions were turned on in an earlier visit (off by default)
+export function loadCaptionPreference() {
+  try {
+    return localStorage.getItem(CAPTIONS_PREFERENCE_KEY) === 'on';
+  } catch (error) {
+    console.warn('Could not read caption preference:', error);
+    return false;
+  }
+}
+
+// Remember whether captions are on for the next visit
+export function saveCaptionPreference(enabled) {
+  try {
+    localStorage.setItem(CAPTIONS_PREFERENCE_KEY, enabled ? 'on' : 'off');
+  } catch (error) {
+    console.warn('Could not save caption preference:', error);
+  }
+}
@@ -0,0 +1,620 @@
+import { createExperience } from './experience.js';
+import { renderLoadingProgress, createAudioControls, createCaptionControls, createInfoCard, createSessionControls } from './ui.js';
+import { changeLocale, getLocale, matchLocale, onLocaleChange, t } from './locales.js';
+
+// Styles for the element's shadow DOM - the page stylesheet does not reach inside
+const STYLES = `
+  :host {
+    display: block;
+    position: relative;
+    width: 100%;
+    height: 100%;
+    min-height: 300px;
+    overflow: hidden;
+    font-family: Arial, sans-serif;
+  }
+
+  :host([hidden]) {
+    display: none;
+  }
+
+  .ar-container {
+    position: absolute;
+    inset: 0;
+    overflow: hidden;
+  }
+
+  .ar-container canvas {
+    width: 100% !important;
+    height: 100% !important;
+    object-fit: cover;
+    position: absolute;
+    top: 0;
+    left: 0;
+  }
+
+  .loading {
+    position: absolute;
+    inset: 0;
+    background-color: rgba(0, 0, 0, 0.8);
+    display: flex;
+    flex-direction: column;
+    justify-content: center;
+    align-items: center;
+    z-index: 2;
+  }
+
+  .spinner {
+    width: 50px;
+    height: 50px;
+    border: 5px solid rgba(255, 255, 255, 0.3);
+    border-radius: 50%;
+    border-top-color: #fff;
+    animation: spin 1s ease-in-out infinite;
+  }
+
+  .loading-text {
+    color: white;
+    margin-top: 15px;
+    font-size: 18px;
+  }
+
+  .loading-progress {
+    width: 240px;
+    max-width: 80%;
+    height: 6px;
+    margin-top: 15px;
+    background-color: rgba(255, 255, 255, 0.2);
+    border-radius: 3px;
+    overflow: hidden;
+  }
+
+  .loading-progress-bar {
+    width: 0;
+    height: 100%;
+    background-color: #fff;
+    transition: width 0.2s;
+  }
+
+  .loading-detail {
+    color: rgba(255, 255, 255, 0.7);
+    margin-top: 8px;
+    font-size: 13px;
+  }
+
+  .loading-assets {
+    list-style: none;
+    margin: 12px 0 0;
+    padding: 0;
+    color: rgba(255, 255, 255, 0.6);
+    font-size: 12px;
+    text-align: center;
+  }
+
+  .loading-asset.done {
+    color: rgba(255, 255, 255, 0.9);
+  }
+
+  .loading-asset.retrying {
+    color: #ffcc66;
+  }
+
+  .loading-asset.failed {
+    color: #ff7777;
+  }
+
+  .control-panel {
+    position: absolute;
+    bottom: 32px;
+    left: 50%;
+    transform: translateX(-50%);
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    z-index: 3;
+    background-color: rgba(0, 0, 0, 0.5);
+    padding: 10px 15px;
+    border-radius: 8px;
+    align-items: center;
+    max-width: 90%;
+    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
+  }
+
+  .control-panel button {
+    padding: 12px 20px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    border: none;
+    border-radius: 5px;
+    font-size: 16px;
+    cursor: pointer;
+  }
+
+  .error-message {
+    color: #ff7777;
+    font-size: 13px;
+    text-align: center;
+  }
+
+  .audio-controls {
+    position: absolute;
+    top: 12px;
+    left: 12px;
+    z-index: 3;
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 10px;
+    background-color: rgba(0, 0, 0, 0.5);
+    border-radius: 16px;
+  }
+
+  .audio-controls button {
+    padding: 4px 10px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    border: none;
+    border-radius: 12px;
+    font-size: 13px;
+    cursor: pointer;
+  }
+
+  .audio-volume {
+    width: 90px;
+  }
+
+  .audio-unlock {
+    position: absolute;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    z-index: 4;
+    padding: 14px 22px;
+    background-color: rgba(0, 0, 0, 0.8);
+    color: white;
+    border: none;
+    border-radius: 8px;
+    font-size: 16px;
+    cursor: pointer;
+  }
+
+  .session-controls {
+    position: absolute;
+    top: 12px;
+    right: 12px;
+    z-index: 3;
+    display: flex;
+    gap: 8px;
+  }
+
+  .session-controls button {
+    padding: 4px 10px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    border: none;
+    border-radius: 12px;
+    font-size: 13px;
+    cursor: pointer;
+  }
+
+  .session-controls button:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+
+  .caption-controls {
+    position: absolute;
+    top: 56px;
+    left: 12px;
+    z-index: 3;
+    display: flex;
+    gap: 8px;
+  }
+
+  .caption-controls button,
+  .transcript button {
+    padding: 4px 10px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    border: none;
+    border-radius: 12px;
+    font-size: 13px;
+    cursor: pointer;
+  }
+
+  .caption-controls button[aria-pressed="true"] {
+    background-color: rgba(255, 255, 255, 0.9);
+    color: #222;
+  }
+
+  .captions {
+    position: absolute;
+    bottom: 24px;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 3;
+    max-width: 90%;
+    padding: 6px 12px;
+    background-color: rgba(0, 0, 0, 0.75);
+    color: white;
+    border-radius: 6px;
+    font-size: 18px;
+    line-height: 1.4;
+    text-align: center;
+    white-space: pre-line;
+    pointer-events: none;
+  }
+
+  .captions:empty,
+  .captions.hidden,
+  .transcript.hidden {
+    display: none;
+  }
+
+  .transcript {
+    position: absolute;
+    top: 100px;
+    left: 12px;
+    right: 12px;
+    bottom: 24px;
+    z-index: 5;
+    overflow-y: auto;
+    padding: 12px 16px;
+    background-color: rgba(0, 0, 0, 0.85);
+    color: white;
+    border-radius: 8px;
+    font-size: 15px;
+  }
+
+  .transcript h2 {
+    font-size: 17px;
+    margin: 12px 0 6px;
+  }
+
+  .transcript time {
+    color: rgba(255, 255, 255, 0.6);
+    margin-right: 6px;
+  }
+
+  .world-hint.hidden,
+  .world-enter.hidden {
+    display: none;
+  }
+
+  .world-hint {
+    position: absolute;
+    left: 50%;
+    top: 100px;
+    transform: translateX(-50%);
+    z-index: 2;
+    max-width: 80%;
+    padding: 8px 14px;
+    background-color: rgba(0, 0, 0, 0.7);
+    color: white;
+    border-radius: 16px;
+    font-size: 15px;
+    text-align: center;
+  }
+
+  .world-enter {
+    position: absolute;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    z-index: 2;
+    padding: 14px 22px;
+    background-color: rgba(0, 0, 0, 0.8);
+    color: white;
+    border: none;
+    border-radius: 8px;
+    font-size: 16px;
+    cursor: pointer;
+  }
+
+  .info-card.hidden {
+    display: none;
+  }
+
+  .info-card {
+    position: absolute;
+    left: 12px;
+    right: 12px;
+    bottom: 24px;
+    z-index: 5;
+    max-height: 60%;
+    max-width: 480px;
+    margin: 0 auto;
+    overflow-y: auto;
+    padding: 12px 16px 16px;
+    background-color: rgba(0, 0, 0, 0.85);
+    color: white;
+    border-radius: 8px;
+    font-size: 15px;
+  }
+
+  .info-card h2 {
+    font-size: 18px;
+    margin: 4px 0 8px;
+  }
+
+  .info-card img {
+    display: block;
+    width: 100%;
+    max-height: 160px;
+    object-fit: cover;
+    border-radius: 6px;
+  }
+
+  .info-card img[hidden],
+  .info-card a[hidden] {
+    display: none;
+  }
+
+  .info-card a {
+    color: #7cc4ff;
+  }
+
+  .info-card-close {
+    float: right;
+    padding: 4px 10px;
+    background-color: rgba(255, 255, 255, 0.15);
+    color: white;
+    border: none;
+    border-radius: 12px;
+    font-size: 13px;
+    cursor: pointer;
+  }
+
+  .hidden {
+    display: none;
+  }
+
+  @keyframes spin {
+    to {
+      transform: rotate(360deg);
+    }
+  }
+`;
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>${STYLES}</style>
+  <div class="ar-container" part="stage"></div>
+  <div class="loading hidden" part="loading">
+    <div class="spinner"></div>
+    <div class="loading-text">Loading 3D Models...</div>
+    <div class="loading-progress">
+      <div class="loading-progress-bar"></div>
+    </div>
+    <div class="loading-detail"></div>
+    <ul class="loading-assets"></ul>
+  </div>
+  <div class="control-panel" part="controls">
+    <div class="error-message hidden" role="alert"></div>
+    <button class="start-button" part="start-button">Start</button>
+  </div>
+`;
+
+// <safra-ar src="scene.json" mode="ar|world|preview" lang="en|zh|ms|ta"> - the experience
+// with its own renderer, loading screen and start button. Dispatches ready, statechange,
+// targetfound, targetlost, sequenceend, modelselect and error events; several
+// can be used on one page. The language is shared by the whole page.
+export class SafraARElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['src', 'mode', 'lang'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' }).appendChild(template.content.cloneNode(true));
+
+    this.experience = null;
+    this.removeAudioControls = null;
+    this.captionControls = null;
+    this.infoCard = null;
+    this.sessionControls = null;
+    this.removeLocaleListener = null;
+
+    this.container = this.shadowRoot.querySelector('.ar-container');
+    this.loadingElement = this.shadowRoot.querySelector('.loading');
+    this.controlPanel = this.shadowRoot.querySelector('.control-panel');
+    this.errorMessage = this.shadowRoot.querySelector('.error-message');
+
+    this.shadowRoot.querySelector('.start-button').addEventListener('click', () => this.start());
+  }
+
+  // URL of the scene manifest
+  get src() {
+    return this.getAttribute('src') || 'scene.json';
+  }
+
+  set src(value) {
+    this.setAttribute('src', value);
+  }
+
+  // 'ar' to track the poster with the camera, 'world' to place the scene on the
+  // floor with WebXR, 'preview' for an orbit-controlled 3D view
+  get mode() {
+    const mode = this.getAttribute('mode');
+    return mode === 'preview' || mode === 'world' ? mode : 'ar';
+  }
+
+  set mode(value) {
+    this.setAttribute('mode', value);
+  }
+
+  connectedCallback() {
+    if (!this.removeLocaleListener) {
+      this.removeLocaleListener = onLocaleChange(() => this.renderStrings());
+    }
+    this.renderStrings();
+  }
+
+  disconnectedCallback() {
+    if (this.removeLocaleListener) {
+      this.removeLocaleListener();
+      this.removeLocaleListener = null;
+    }
+    this.stop();
+  }
+
+  // A running experience is restarted with the new scene or mode. A new
+  // language is applied in place.
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'lang') {
+      this.applyLang();
+      return;
+    }
+
+    if (oldValue !== newValue && this.experience) {
+      this.start();
+    }
+  }
+
+  // Switch the page to the lang attribute's language, if it is one we have
+  applyLang() {
+    const locale = matchLocale(this.getAttribute('lang'));
+    if (locale && locale !== getLocale()) {
+      changeLocale(locale);
+    }
+  }
+
+  // Show the element's own text in the current language
+  renderStrings() {
+    this.shadowRoot.querySelector('.start-button').textContent = t('start');
+    if (this.loadingElement.classList.contains('hidden')) {
+      this.shadowRoot.querySelector('.loading-text').textContent = t('loading');
+    }
+  }
+
+  // Fire an event that crosses the shadow boundary. Pass bubbles false for
+  // one that should only be heard on the element itself.
+  emit(type, detail = {}, bubbles = true) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles, composed: bubbles }));
+  }
+
+  // Load and start the experience, replacing any that is running
+  async start() {
+    const previousExperience = this.experience;
+    this.removeControls();
+
+    const describeScene = ({ targetIndex, name }) => ({ targetIndex, name });
+
+    const experience = createExperience(this.container, {
+      scene: this.src,
+      mode: this.mode,
+      overlay: this, // Keeps the element's controls over the camera in world mode
+      onStatus: message => {
+        this.shadowRoot.querySelector('.loading-text').textContent = message;
+      },
+      onProgress: progress => renderLoadingProgress(this.shadowRoot, progress, experience.assets.maxRetries),
+      onTargetFound: definition => this.emit('targetfound', describeScene(definition)),
+      onTargetLost: definition => this.emit('targetlost', describeScene(definition)),
+      onSequenceEnd: definition => this.emit('sequenceend', describeScene(definition)),
+      onCaption: (text, definition) => {
+        if (this.captionControls && this.experience === experience) {
+          this.captionControls.showCaption(text, definition);
+        }
+      },
+      onModelSelect: selection => {
+        if (!this.infoCard || this.experience !== experience) return;
+
+        if (selection) {
+          this.infoCard.show(selection.info, selection.imageUrl);
+          this.emit('modelselect', { id: selection.id, ...describeScene(selection.definition) });
+        } else {
+          this.infoCard.hide();
+        }
+      },
+      onStateChange: state => {
+        if (this.experience !== experience) return;
+
+        if (this.sessionControls) this.sessionControls.update();
+        this.emit('statechange', { state });
+      }
+    });
+    this.experience = experience;
+
+    // Start audio while a tap on the start button still counts as a user gesture
+    experience.unlockAudio();
+    this.applyLang();
+
+    if (previousExperience) {
+      await previousExperience.stop();
+    }
+
+    this.errorMessage.classList.add('hidden');
+    this.controlPanel.classList.add('hidden');
+    this.loadingElement.classList.remove('hidden');
+
+    try {
+      await experience.start();
+
+      // Stopped or restarted while loading
+      if (this.experience !== experience) {
+        await experience.stop();
+        return;
+      }
+
+      this.loadingElement.classList.add('hidden');
+      this.removeAudioControls = createAudioControls(this.shadowRoot, experience.audioOutput, experience.audioContext);
+      this.captionControls = createCaptionControls(this.shadowRoot, experience);
+      this.infoCard = createInfoCard(this.shadowRoot, () => experience.deselectModel());
+      this.sessionControls = createSessionControls(this.shadowRoot, experience, () => this.stop());
+      this.emit('ready', { mode: experience.mode });
+    } catch (error) {
+      console.error('Error starting experience:', error);
+
+      if (this.experience === experience) {
+        await this.stop();
+      }
+
+      this.errorMessage.textContent = error.message || t('errorStartShort');
+      this.errorMessage.classList.remove('hidden');
+      // Kept on the element, as a bubbling 'error' would reach window's handler for script errors
+      this.emit('error', { message: error.message, errors: error.errors || [], error }, false);
+    }
+  }
+
+  // Remove the sound, caption and session controls and info card of the running experience
+  removeControls() {
+    if (this.removeAudioControls) {
+      this.removeAudioControls();
+      this.removeAudioControls = null;
+    }
+
+    if (this.captionControls) {
+      this.captionControls.remove();
+      this.captionControls = null;
+    }
+
+    if (this.infoCard) {
+      this.infoCard.remove();
+      this.infoCard = null;
+    }
+
+    if (this.sessionControls) {
+      this.sessionControls.remove();
+      this.sessionControls = null;
+    }
+  }
+
+  // Stop the experience and show the start button again
+  async stop() {
+    const { experience } = this;
+    this.experience = null;
+    this.removeControls();
+
+    this.loadingElement.classList.add('hidden');
+    this.controlPanel.classList.remove('hidden');
+
+    if (experience) {
+      await experience.stop();
+      this.emit('statechange', { state: experience.state });
+    }
+  }
+}
+
+if (!customElements.get('safra-ar')) {
+  customElements.define('safra-ar', SafraARElement);
+}
@@ -0,0 +1,696 @@
+import { LOCALES } from './locales.js';
+
+// Schema for scene.json - every field the experience reads from the manifest
+const vector3Schema = {
+  type: 'object',
+  required: ['x', 'y', 'z'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    z: { type: 'number' }
+  }
+};
+
+// Audio to use in place of the default in one locale
+const localeAudioSchema = {
+  type: 'object',
+  properties: {
+    src: { type: 'string', minLength: 1 },
+    captions: { type: 'string', pattern: /\.vtt$/i },
+    stems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'src'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          src: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+// Enter or exit animation of a text panel
+const textTransitionSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: ['fade', 'slideUp', 'typewriter', 'pop'] },
+    duration: { type: 'number', minimum: 0 }
+  }
+};
+
+// Reveal or hide animation of a model
+const modelTransitionSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: ['dissolve', 'rise', 'scale', 'hologram'] },
+    duration: { type: 'number', minimum: 0 },
+    color: { type: 'string', minLength: 1 }
+  }
+};
+
+const trackingSchema = {
+  type: 'object',
+  properties: {
+    onLost: { type: 'string', enum: ['resume', 'restart'] },
+    resumeWindow: { type: 'number', minimum: 0 },
+    resetAfter: { type: 'number', minimum: 0 },
+    duckVolume: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+// Where the content sits on its target, and how far gestures may move it
+const placementSchema = {
+  type: 'object',
+  properties: {
+    position: vector3Schema,
+    scale: { type: 'number', exclusiveMinimum: 0 },
+    rotation: { type: 'number' },
+    gestures: { type: 'boolean' },
+    remember: { type: 'boolean' },
+    minScale: { type: 'number', exclusiveMinimum: 0 },
+    maxScale: { type: 'number', exclusiveMinimum: 0 },
+    maxOffset: { type: 'number', minimum: 0 },
+    worldScale: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+
+// Fields that describe one scene - the content shown on a single target
+const sceneDefinitionProperties = {
+  cycleLength: { type: 'number', minimum: 1 },
+  tracking: trackingSchema,
+  placement: placementSchema,
+  audio: {
+    type: 'object',
+    required: ['src'],
+    properties: {
+      src: { type: 'string', minLength: 1 },
+      fadeOutDuration: { type: 'number', minimum: 0 },
+      loop: { type: 'boolean' },
+      loopStart: { type: 'number', minimum: 0 },
+      loopEnd: { type: 'number', minimum: 0 },
+      voiceDuck: { type: 'number', minimum: 0, maximum: 1 },
+      stems: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'src', 'type'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            src: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: ['music', 'voice', 'sfx'] },
+            at: { type: 'number', minimum: 0 },
+            volume: { type: 'number', minimum: 0, maximum: 1 },
+            loop: { type: 'boolean' }
+          }
+        }
+      },
+      captions: {
+        type: 'object',
+        required: ['src'],
+        properties: {
+          src: { type: 'string', pattern: /\.vtt$/i },
+          panel: {
+            type: 'object',
+            required: ['position'],
+            properties: {
+              position: vector3Schema,
+              previewPosition: vector3Schema
+            }
+          }
+        }
+      },
+      locales: {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(LOCALES).map(locale => [locale, localeAudioSchema]))
+      }
+    }
+  },
+  models: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['id', 'path', 'position', 'scale', 'delay'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        path: { type: 'string', pattern: /\.(fbx|glb|gltf)$/i },
+        position: vector3Schema,
+        scale: { type: 'number', exclusiveMinimum: 0 },
+        delay: { type: 'number', minimum: 0 },
+        hideAt: { type: 'number', minimum: 0 },
+        reveal: modelTransitionSchema,
+        hide: modelTransitionSchema,
+        info: {
+          type: 'object',
+          required: ['text'],
+          properties: {
+            title: { type: 'string', minLength: 1 },
+            text: { type: 'string', minLength: 1 },
+            image: { type: 'string', minLength: 1 },
+            link: { type: 'string', pattern: /^(https?:\/\/|\/|\.)/ },
+            linkLabel: { type: 'string', minLength: 1 }
+          }
+        },
+        enabled: { type: 'boolean' },
+        textures: { type: 'array', items: { type: 'string', minLength: 1 } },
+        sfx: { type: 'string', minLength: 1 },
+        sound: {
+          type: 'object',
+          required: ['src'],
+          properties: {
+            src: { type: 'string', minLength: 1 },
+            volume: { type: 'number', minimum: 0, maximum: 1 },
+            loop: { type: 'boolean' },
+            refDistance: { type: 'number', exclusiveMinimum: 0 },
+            rolloffFactor: { type: 'number', minimum: 0 },
+            maxDistance: { type: 'number', exclusiveMinimum: 0 },
+            distanceModel: { type: 'string', enum: ['linear', 'inverse', 'exponential'] }
+          }
+        }
+      }
+    }
+  },
+  spotlights: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['model'],
+      properties: {
+        model: { type: 'string' },
+        scale: { type: 'number', exclusiveMinimum: 0 },
+        delay: { type: 'number', minimum: 0 },
+        previewDelay: { type: 'number', minimum: 0 },
+        radius: { type: 'number', exclusiveMinimum: 0 },
+        topRadius: { type: 'number', minimum: 0 },
+        height: { type: 'number', exclusiveMinimum: 0 },
+        color: { type: 'string', minLength: 1 },
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+        intensity: { type: 'number', minimum: 0 },
+        duration: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+  particles: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'preset'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        preset: { type: 'string', enum: ['sparks', 'confetti', 'dust'] },
+        model: { type: 'string' },
+        spotlight: { type: 'string' },
+        position: vector3Schema,
+        startAt: { type: 'number', minimum: 0 },
+        stopAt: { type: 'number', minimum: 0 },
+        count: { type: 'number', minimum: 1, maximum: 1000 },
+        rate: { type: 'number', minimum: 0 },
+        burst: { type: 'number', minimum: 0 },
+        lifetime: { type: 'number', exclusiveMinimum: 0 },
+        size: { type: 'number', exclusiveMinimum: 0 },
+        colors: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+        speed: { type: 'number', minimum: 0 },
+        rise: { type: 'number' },
+        gravity: { type: 'number' },
+        drag: { type: 'number', minimum: 0 },
+        flutter: { type: 'number', minimum: 0 },
+        radius: { type: 'number', minimum: 0 },
+        height: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+  textPanels: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'style', 'lines', 'position'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        style: { type: 'string', enum: ['headline', 'body'] },
+        lines: { type: 'array', minItems: 1, items: { type: 'string' } },
+        position: vector3Schema,
+        previewPosition: vector3Schema,
+        showAt: { type: 'number', minimum: 0 },
+        hideAt: { type: 'number', minimum: 0 },
+        align: { type: 'string', enum: ['left', 'center', 'right'] },
+        lineHeight: { type: 'number', exclusiveMinimum: 0 },
+        padding: { type: 'number', minimum: 0 },
+        fontSize: { type: 'number', exclusiveMinimum: 0 },
+        color: { type: 'string', minLength: 1 },
+        width: { type: 'number', exclusiveMinimum: 0 },
+        enter: textTransitionSchema,
+        exit: textTransitionSchema
+      }
+    }
+  }
+};
+
+// Manifest schemas by version
+const SCENE_SCHEMAS = {
+  // Version 1: a single scene on target 0
+  1: {
+    type: 'object',
+    required: ['version', 'target', 'cycleLength', 'audio', 'models'],
+    properties: {
+      version: { type: 'integer' },
+      target: { type: 'string', minLength: 1 },
+      ...sceneDefinitionProperties
+    }
+  },
+
+  // Version 2: one scene per image in a multi-target .mind file
+  2: {
+    type: 'object',
+    required: ['version', 'target', 'scenes'],
+    properties: {
+      version: { type: 'integer' },
+      target: { type: 'string', minLength: 1 },
+      playback: { type: 'string', enum: ['exclusive', 'concurrent'] },
+      tracking: trackingSchema,
+      placement: placementSchema,
+      scenes: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['targetIndex', 'cycleLength', 'audio', 'models'],
+          properties: {
+            targetIndex: { type: 'integer', minimum: 0 },
+            name: { type: 'string' },
+            ...sceneDefinitionProperties
+          }
+        }
+      }
+    }
+  }
+};
+
+// Describe a JSON value's type for error messages
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Validate a value against a schema node, collecting "path: message" errors
+function validateAgainstSchema(value, schema, path, errors) {
+  const actualType = describeType(value);
+
+  if (schema.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      errors.push(`${path}: expected integer, got ${actualType}`);
+      return;
+    }
+  } else if (schema.type && actualType !== schema.type) {
+    errors.push(`${path}: expected ${schema.type}, got ${actualType}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  if (actualType === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const childSchema = schema.properties[key];
+      if (!childSchema) {
+        // Unknown keys are usually typos, so flag them rather than ignore them
+        errors.push(`${path}.${key}: unknown field`);
+        return;
+      }
+      validateAgainstSchema(value[key], childSchema, `${path}.${key}`, errors);
+    });
+  }
+}
+
+// Cross-field checks for one scene definition that the schema cannot express
+function validateSceneDefinition(definition, path, errors) {
+  const modelIds = new Set();
+  definition.models.forEach((model, index) => {
+    if (modelIds.has(model.id)) {
+      errors.push(`${path}.models[${index}].id: duplicate id "${model.id}"`);
+    }
+    modelIds.add(model.id);
+
+    if (model.hideAt !== undefined && model.hideAt < model.delay) {
+      errors.push(`${path}.models[${index}].hideAt: must not be before delay`);
+    }
+    if (model.hide && model.hideAt === undefined) {
+      errors.push(`${path}.models[${index}].hide: needs hideAt`);
+    }
+  });
+
+  (definition.spotlights || []).forEach((spotlight, index) => {
+    if (!modelIds.has(spotlight.model)) {
+      errors.push(`${path}.spotlights[${index}].model: no model with id "${spotlight.model}"`);
+    }
+  });
+
+  const particleIds = new Set();
+  (definition.particles || []).forEach((particles, index) => {
+    const particlesPath = `${path}.particles[${index}]`;
+
+    if (particleIds.has(particles.id)) {
+      errors.push(`${particlesPath}.id: duplicate id "${particles.id}"`);
+    }
+    particleIds.add(particles.id);
+
+    if (particles.model !== undefined && particles.spotlight !== undefined) {
+      errors.push(`${particlesPath}: set model or spotlight, not both`);
+    }
+    if (particles.model !== undefined && !modelIds.has(particles.model)) {
+      errors.push(`${particlesPath}.model: no model with id "${particles.model}"`);
+    }
+    if (particles.spotlight !== undefined &&
+      !(definition.spotlights || []).some(spotlight => spotlight.model === particles.spotlight)) {
+      errors.push(`${particlesPath}.spotlight: no spotlight for model "${particles.spotlight}"`);
+    }
+    if (particles.stopAt !== undefined && particles.startAt !== undefined && particles.stopAt < particles.startAt) {
+      errors.push(`${particlesPath}.stopAt: must not be before startAt`);
+    }
+  });
+
+  validateTracking(definition.tracking, `${path}.tracking`, errors);
+  validatePlacement(definition.placement, `${path}.placement`, errors);
+  validateAudio(definition.audio, `${path}.audio`, errors);
+
+  const panelIds = new Set();
+  (definition.textPanels || []).forEach((panel, index) => {
+    if (panelIds.has(panel.id)) {
+      errors.push(`${path}.textPanels[${index}].id: duplicate id "${panel.id}"`);
+    }
+    panelIds.add(panel.id);
+
+    if (panel.exit && panel.hideAt === undefined) {
+      errors.push(`${path}.textPanels[${index}].exit: needs hideAt`);
+    }
+  });
+}
+
+// Check the loop points are in order and stem ids are unique
+function validateAudio(audio, path, errors) {
+  if (audio.loopStart !== undefined && audio.loopEnd !== undefined && audio.loopEnd <= audio.loopStart) {
+    errors.push(`${path}.loopEnd: must be > loopStart`);
+  }
+
+  const stemIds = new Set();
+  (audio.stems || []).forEach((stem, index) => {
+    if (stemIds.has(stem.id)) {
+      errors.push(`${path}.stems[${index}].id: duplicate id "${stem.id}"`);
+    }
+    stemIds.add(stem.id);
+  });
+
+  Object.entries(audio.locales || {}).forEach(([locale, localeAudio]) => {
+    (localeAudio.stems || []).forEach((stem, index) => {
+      if (!stemIds.has(stem.id)) {
+        errors.push(`${path}.locales.${locale}.stems[${index}].id: no stem with id "${stem.id}"`);
+      }
+    });
+
+    if (localeAudio.captions && !audio.captions) {
+      errors.push(`${path}.locales.${locale}.captions: audio.captions is not set`);
+    }
+  });
+}
+
+// Check the scale limits are in order and the default scale is within them
+function validatePlacement(placement, path, errors) {
+  if (!placement) return;
+
+  const { scale, minScale, maxScale } = placement;
+  if (minScale !== undefined && maxScale !== undefined && maxScale < minScale) {
+    errors.push(`${path}.maxScale: must not be below minScale`);
+  }
+  if (scale !== undefined && ((minScale !== undefined && scale < minScale) || (maxScale !== undefined && scale > maxScale))) {
+    errors.push(`${path}.scale: must be between minScale and maxScale`);
+  }
+}
+
+// Check the tracking timeouts are in a sensible order
+function validateTracking(tracking, path, errors) {
+  if (!tracking) return;
+
+  if (tracking.resumeWindow !== undefined && tracking.resetAfter !== undefined &&
+    tracking.resetAfter < tracking.resumeWindow) {
+    errors.push(`${path}.resetAfter: must be >= resumeWindow`);
+  }
+}
+
+// Validate a scene manifest, returning a list of per-field error strings
+export function validateSceneManifest(manifest) {
+  const errors = [];
+
+  const version = manifest && manifest.version;
+  const schema = SCENE_SCHEMAS[version];
+  if (!schema) {
+    return [`scene.version: must be one of ${Object.keys(SCENE_SCHEMAS).join(', ')}`];
+  }
+
+  validateAgainstSchema(manifest, schema, 'scene', errors);
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (version === 1) {
+    validateSceneDefinition(manifest, 'scene', errors);
+    return errors;
+  }
+
+  validateTracking(manifest.tracking, 'scene.tracking', errors);
+  validatePlacement(manifest.placement, 'scene.placement', errors);
+
+  const targetIndexes = new Set();
+  manifest.scenes.forEach((definition, index) => {
+    if (targetIndexes.has(definition.targetIndex)) {
+      errors.push(`scene.scenes[${index}].targetIndex: duplicate target ${definition.targetIndex}`);
+    }
+    targetIndexes.add(definition.targetIndex);
+
+    validateSceneDefinition(definition, `scene.scenes[${index}]`, errors);
+  });
+
+  return errors;
+}
+
+// Default placement of a scene on its target, and the limits of the gestures that adjust it
+const DEFAULT_PLACEMENT = {
+  position: { x: 0, y: 0, z: 0 },
+  scale: 1,
+  rotation: 0, // Degrees about the vertical axis
+  gestures: true,
+  remember: true, // Keep the last adjustment for the next visit
+  minScale: 0.25,
+  maxScale: 4,
+  maxOffset: 2, // Furthest a drag can move it from position, in scene units
+  worldScale: 1 // Metres per scene unit when placed on the floor in world mode
+};
+
+// Default tracking behaviour when the target is lost
+const DEFAULT_TRACKING = {
+  onLost: 'resume',
+  resumeWindow: 5000,
+  resetAfter: 15000,
+  duckVolume: 0.2
+};
+
+// Fill in optional fields of a scene definition so the rest of the code can rely on them
+function normalizeSceneDefinition(definition, tracking, placement) {
+  return {
+    targetIndex: 0,
+    ...definition,
+    name: definition.name || `Target ${definition.targetIndex || 0}`,
+    tracking: { ...tracking, ...definition.tracking },
+    placement: { ...placement, ...definition.placement },
+    audio: {
+      fadeOutDuration: 2000,
+      loop: false,
+      loopStart: 0,
+      loopEnd: 0, // End of the file
+      voiceDuck: 0.3,
+      ...definition.audio,
+      stems: (definition.audio.stems || []).map(stem => ({ at: 0, volume: 1.0, loop: false, ...stem }))
+    },
+    models: definition.models.map(model => ({
+      name: model.id,
+      enabled: true,
+      ...model,
+      reveal: model.reveal && { duration: 1000, ...model.reveal },
+      hide: model.hide && { duration: 1000, ...model.hide },
+      info: model.info && { title: model.name || model.id, ...model.info }
+    })),
+    spotlights: definition.spotlights || [],
+    particles: definition.particles || [],
+    textPanels: (definition.textPanels || []).map(panel => ({
+      showAt: 0,
+      ...panel,
+      enter: panel.enter && { duration: 500, ...panel.enter },
+      exit: panel.exit && { duration: 500, ...panel.exit }
+    }))
+  };
+}
+
+// Validate a parsed scene manifest, upgrading it to the latest version.
+// The source is only used in error messages.
+export function prepareSceneManifest(manifest, source = 'scene.json') {
+  const errors = validateSceneManifest(manifest);
+  if (errors.length > 0) {
+    errors.forEach(message => console.error(`Invalid scene manifest: ${message}`));
+    const error = new Error(`${source} is invalid:\n${errors.join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  // Version 1 manifests describe a single scene on target 0
+  const { version, target, playback, tracking, placement, scenes, ...singleScene } = manifest;
+  const definitions = version === 1 ? [singleScene] : scenes;
+  const defaultTracking = { ...DEFAULT_TRACKING, ...tracking };
+  const defaultPlacement = { ...DEFAULT_PLACEMENT, ...placement };
+
+  return {
+    version: 2,
+    target,
+    playback: playback || 'exclusive',
+    scenes: definitions.map(definition => normalizeSceneDefinition(definition, defaultTracking, defaultPlacement))
+  };
+}
+
+// Apply a locale's copy and audio to a prepared manifest, returning a new one.
+// sceneStrings holds text panel lines by target index and then panel id.
+export function localizeSceneManifest(manifest, locale, sceneStrings = {}) {
+  return {
+    ...manifest,
+    scenes: manifest.scenes.map(definition => {
+      const copy = sceneStrings[definition.targetIndex] || {};
+      const { audio } = definition;
+      const localeAudio = (audio.locales && audio.locales[locale]) || {};
+      const stemSources = Object.fromEntries((localeAudio.stems || []).map(stem => [stem.id, stem.src]));
+
+      return {
+        ...definition,
+        audio: {
+          ...audio,
+          src: localeAudio.src || audio.src,
+          stems: audio.stems.map(stem => ({ ...stem, src: stemSources[stem.id] || stem.src })),
+          captions: audio.captions && localeAudio.captions
+            ? { ...audio.captions, src: localeAudio.captions }
+            : audio.captions
+        },
+        textPanels: definition.textPanels.map(panel => ({ ...panel, lines: copy[panel.id] || panel.lines })),
+        models: definition.models.map(model => ({
+          ...model,
+          info: model.info && { ...model.info, ...(copy.models && copy.models[model.id]) }
+        }))
+      };
+    })
+  };
+}
+
+// Fetch and validate the scene manifest, upgrading it to the latest version
+export async function loadSceneManifest(url) {
+  let manifest;
+
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    manifest = await response.json();
+  } catch (error) {
+    console.error(`Error loading scene manifest ${url}:`, error);
+    throw new Error(`Cannot load scene manifest ${url}`);
+  }
+
+  return prepareSceneManifest(manifest, url);
+}
+
+// List every file a run of the experience needs; untracked runs (test and
+// world modes) only need the first scene
+export function collectSceneAssets(config, untracked = false) {
+  const entries = [];
+
+  // Test and world modes only show the first scene and have no target to track
+  const definitions = untracked ? config.scenes.slice(0, 1) : config.scenes;
+  if (!untracked) {
+    entries.push({ url: config.target, label: 'AR target' });
+  }
+
+  definitions.forEach(definition => {
+    definition.models.forEach(model => {
+      if (!model.enabled) return;
+
+      entries.push({ url: model.path, label: model.name });
+      (model.textures || []).forEach(texture => {
+        entries.push({ url: texture, label: `${model.name} texture` });
+      });
+
+      if (model.sfx) {
+        entries.push({ url: model.sfx, label: `${model.name} sound` });
+      }
+
+      if (model.sound) {
+        entries.push({ url: model.sound.src, label: `${model.name} sound` });
+      }
+
+      if (model.info && model.info.image) {
+        entries.push({ url: model.info.image, label: `${model.name} image` });
+      }
+    });
+
+    entries.push({ url: definition.audio.src, label: 'Soundtrack' });
+    definition.audio.stems.forEach(stem => {
+      entries.push({ url: stem.src, label: `${stem.id} audio` });
+    });
+
+    if (definition.audio.captions) {
+      entries.push({ url: definition.audio.captions.src, label: 'Captions' });
+    }
+  });
+
+  return entries;
+}
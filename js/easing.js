@@ -0,0 +1,11 @@
+// Easing curves for transitions: each maps progress 0-1 to an eased 0-1
+
+export function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
+
+// Overshoots past 1 and settles back, for a pop
+export function easeOutBack(t) {
+  const overshoot = 1.70158;
+  return 1 + (overshoot + 1) * Math.pow(t - 1, 3) + overshoot * Math.pow(t - 1, 2);
+}
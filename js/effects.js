@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+import { easeOutCubic } from './easing.js';
+
+// Default look of a spotlight; any of these can be set per model in the manifest
+const SPOTLIGHT_DEFAULTS = {
+  radius: 2, // Radius of the pool of light at the model
+  topRadius: 0.5, // Radius at the lamp
+  height: 8,
+  color: '#ffbbaa',
+  opacity: 0.35, // Brightness of the visible beam
+  intensity: 2, // Brightness of the light on the model
+  duration: 600 // Turn-on time (ms)
+};
+
+// Beam with soft edges, brightest at the lamp, with dust drifting through it
+const BEAM_VERTEX_SHADER = `
+  varying vec2 vUv;
+  varying vec3 vNormal;
+  varying vec3 vViewDirection;
+
+  void main() {
+    vUv = uv;
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vNormal = normalize(mat3(modelMatrix) * normal);
+    vViewDirection = normalize(cameraPosition - worldPosition.xyz);
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+  }
+`;
+
+const BEAM_FRAGMENT_SHADER = `
+  uniform vec3 color;
+  uniform float opacity;
+  uniform float level;
+  uniform float time;
+  uniform sampler2D dustMap;
+
+  varying vec2 vUv;
+  varying vec3 vNormal;
+  varying vec3 vViewDirection;
+
+  void main() {
+    // Fade towards the silhouette so the cone has no hard outline
+    float facing = abs(dot(normalize(vNormal), normalize(vViewDirection)));
+    float edge = pow(facing, 2.0);
+
+    // Brightest at the lamp (v = 1), fading out where the beam meets the floor
+    float falloff = mix(0.2, 1.0, vUv.y) * smoothstep(0.0, 0.15, vUv.y);
+
+    // Two layers of dust drifting down at different speeds
+    float dust = texture2D(dustMap, vec2(vUv.x * 3.0, vUv.y * 2.0 + time * 0.04)).r;
+    dust += texture2D(dustMap, vec2(vUv.x * 5.0 + 0.5, vUv.y * 3.0 + time * 0.07)).r;
+
+    float alpha = opacity * level * edge * falloff * mix(0.6, 1.4, dust * 0.5);
+    gl_FragColor = vec4(color, alpha);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+// Noise texture shared by every beam, created on first use
+let dustTexture = null;
+
+function getDustTexture() {
+  if (dustTexture) return dustTexture;
+
+  const size = 64;
+  const data = new Uint8Array(size * size * 4);
+  for (let i = 0; i < size * size; i++) {
+    const value = Math.floor(Math.random() * 256);
+    data.set([value, value, value, 255], i * 4);
+  }
+
+  dustTexture = new THREE.DataTexture(data, size, size);
+  dustTexture.wrapS = THREE.RepeatWrapping;
+  dustTexture.wrapT = THREE.RepeatWrapping;
+  dustTexture.magFilter = THREE.LinearFilter;
+  dustTexture.needsUpdate = true;
+
+  return dustTexture;
+}
+
+// Create a spotlight over a model: a volumetric beam and a SpotLight that lights
+// the model, both off until turned on. scale sizes the whole spotlight; options
+// override SPOTLIGHT_DEFAULTS, and other keys are ignored.
+//
+// Returns { object, beam, light, duration, setLevel(level), turnOn(progress), update(delta), dispose() }.
+export function createSpotlight(position, scale = 1.0, options = {}) {
+  const settings = { ...SPOTLIGHT_DEFAULTS };
+  Object.keys(SPOTLIGHT_DEFAULTS).forEach(key => {
+    if (options[key] !== undefined) settings[key] = options[key];
+  });
+  const { radius, topRadius, height } = settings;
+
+  const object = new THREE.Group();
+  object.position.set(position.x, position.y + 0.2, position.z + 0.2);
+  object.scale.setScalar(scale);
+
+  // Open-ended cone from the lamp down to the model
+  const geometry = new THREE.CylinderGeometry(topRadius, radius, height, 32, 1, true);
+  geometry.translate(0, height / 2, 0);
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      color: { value: new THREE.Color(settings.color) },
+      opacity: { value: settings.opacity },
+      level: { value: 0 },
+      time: { value: 0 },
+      dustMap: { value: getDustTexture() }
+    },
+    vertexShader: BEAM_VERTEX_SHADER,
+    fragmentShader: BEAM_FRAGMENT_SHADER,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    side: THREE.DoubleSide,
+    depthWrite: false // Prevent z-fighting with other transparent objects
+  });
+
+  const beam = new THREE.Mesh(geometry, material);
+  beam.visible = false;
+  object.add(beam);
+
+  // The light stays in the scene at zero intensity when off - adding and
+  // removing lights would recompile every material. No decay, so it lights
+  // the model the same whatever scale the tracker gives the scene.
+  const light = new THREE.SpotLight(settings.color, 0, 0, Math.atan(radius / height) * 1.2, 0.6, 0);
+  light.position.set(0, height, 0);
+  light.target.position.set(0, 0, 0);
+  object.add(light, light.target);
+
+  const spotlight = {
+    object,
+    beam,
+    light,
+    duration: settings.duration,
+
+    // Set the brightness of beam and light together (0 off, 1 full)
+    setLevel(level) {
+      material.uniforms.level.value = level;
+      light.intensity = settings.intensity * level;
+      beam.visible = level > 0;
+    },
+
+    // Turn-on animation: flickers while it warms up, then settles at full
+    turnOn(progress) {
+      const flicker = progress < 1 && Math.sin(progress * 60) > 0.3 ? 1 - 0.5 * (1 - progress) : 1;
+      spotlight.setLevel(easeOutCubic(progress) * flicker);
+    },
+
+    // Drift the dust by the render clock delta (seconds)
+    update(delta) {
+      material.uniforms.time.value += delta;
+    },
+
+    dispose() {
+      geometry.dispose();
+      material.dispose();
+      light.dispose();
+    }
+  };
+
+  return spotlight;
+}
+
+// Create a glowing ring at the feet of a model to show it is selected. The
+// ring is added to the model, so it moves, hides and scales along with it.
+//
+// Returns { object, dispose() }.
+export function createHighlight(model, color = '#ffd166') {
+  // Footprint of the model in its own space
+  model.updateWorldMatrix(true, true);
+  const toModel = model.matrixWorld.clone().invert();
+  const bounds = new THREE.Box3().setFromObject(model).applyMatrix4(toModel);
+  const center = bounds.getCenter(new THREE.Vector3());
+  const size = bounds.getSize(new THREE.Vector3());
+  const radius = Math.max(size.x, size.z) * 0.6;
+
+  const geometry = new THREE.RingGeometry(radius * 0.85, radius, 48);
+  geometry.rotateX(-Math.PI / 2);
+
+  const material = new THREE.MeshBasicMaterial({
+    color,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    side: THREE.DoubleSide,
+    depthWrite: false
+  });
+
+  const object = new THREE.Mesh(geometry, material);
+  object.position.set(center.x, bounds.min.y + size.y * 0.01, center.z);
+  object.raycast = () => {}; // Not something to tap
+
+  // Pulse gently, whether or not the sequence is playing
+  object.onBeforeRender = () => {
+    material.opacity = 0.6 + 0.3 * Math.sin(performance.now() / 250);
+  };
+
+  model.add(object);
+
+  return {
+    object,
+
+    dispose() {
+      object.removeFromParent();
+      geometry.dispose();
+      material.dispose();
+    }
+  };
+}
@@ -0,0 +1,471 @@
+import * as THREE from 'three';
+import { initAudio, createAudioOutput } from './audio.js';
+import { createAssetLoader } from './assets.js';
+import { createModelManager } from './models.js';
+import { loadCaptionPreference, saveCaptionPreference } from './captions.js';
+import { loadSceneManifest, prepareSceneManifest, localizeSceneManifest, collectSceneAssets } from './config.js';
+import { getLocale, getSceneStrings, onLocaleChange, t, whenLocaleReady } from './locales.js';
+import { localizeScene, pauseScene, resumeScene, restartSceneSequence, disposeScene } from './scene.js';
+import { initTestScene, loadTestModels } from './testScene.js';
+import { initializeAR, requestCameraAccess } from './ar.js';
+import { initializeWorldAR } from './xr.js';
+import { disposeObject } from './materials.js';
+import { createModelPicker } from './picking.js';
+import { createPlacementGestures } from './placement.js';
+
+// Create an experience rendering into the given container element.
+//
+// config.scene     - URL of a scene manifest, or an already parsed manifest (default 'scene.json')
+// config.mode      - 'ar' to track the target images, 'world' to place the first scene on the floor
+//                    with WebXR, 'preview' for the orbit-controlled test scene
+// config.overlay   - element shown over the camera in world mode (default the container)
+// config.onProgress - called with preload progress ({ loaded, total, percent, assets })
+// config.onStatus  - called with a short status message as the experience starts
+// config.onLoaded  - called with the validated manifest once its assets are preloaded
+// config.onTargetFound, config.onTargetLost, config.onSequenceEnd
+//                  - called with the scene definition when its target is found or lost,
+//                    or its sequence reaches the end of a cycle
+// config.onCaption - called with a scene's current caption text ('' when none) and its definition
+// config.onModelSelect - called with { id, info, imageUrl, definition } when a model with an info card
+//                  is tapped, and with null when it is let go
+// config.onStateChange - called with the new state whenever it changes
+//
+// An experience moves through the states 'idle' -> 'starting' -> 'running' <-> 'paused' -> 'stopped',
+// and can be started again from 'stopped' as many times as needed.
+export function createExperience(container, config = {}) {
+  const experience = {
+    container,
+    state: 'idle',
+    mode: config.mode || 'ar',
+    source: config.scene || 'scene.json',
+    overlay: config.overlay || null,
+    sourceManifest: null, // Validated contents of the scene manifest
+    manifest: null, // The same with the current locale's copy and audio applied
+    assets: createAssetLoader(),
+    models: null,
+    audioContext: null,
+    audioOutput: null, // Volume and mute applied to every scene's audio
+    clock: new THREE.Clock(),
+    scene: null,
+    camera: null,
+    renderer: null,
+    mindarThree: null,
+    world: null, // WebXR session handling in world mode
+    orbitControls: null,
+    picker: null, // Tap picking of models with info cards
+    gestures: null, // Moving, scaling and turning scenes on the poster, in AR mode
+    listener: null, // Three.js AudioListener on the camera, created when a scene has positional sounds
+    runtimes: [], // Scenes currently loaded, one per tracked target (a single one in preview)
+    captionsEnabled: loadCaptionPreference(),
+    onProgress: config.onProgress || (() => {}),
+    onStatus: config.onStatus || (() => {}),
+    onLoaded: config.onLoaded || (() => {}),
+    onTargetFound: config.onTargetFound || (() => {}),
+    onTargetLost: config.onTargetLost || (() => {}),
+    onSequenceEnd: config.onSequenceEnd || (() => {}),
+    onCaption: config.onCaption || (() => {}),
+    onModelSelect: config.onModelSelect || (() => {}),
+    onStateChange: config.onStateChange || (() => {}),
+    resizeObserver: null,
+    removeLocaleListener: null,
+    elements: [], // Elements mount() added to the container, removed again by stop()
+    starting: null, // Promise of a start() in progress
+    stopping: null, // Promise of a stop() in progress
+
+    // Move to another state and tell the page
+    setState(state) {
+      if (state === this.state) return;
+
+      this.state = state;
+      this.onStateChange(state);
+    },
+
+    // Load the manifest and preload every asset the current mode needs
+    async load() {
+      await whenLocaleReady();
+      this.onStatus(t('loading'));
+
+      // Load the scene manifest before anything else depends on it, once: a
+      // restart uses the same one
+      if (!this.sourceManifest) {
+        this.sourceManifest = typeof this.source === 'string'
+          ? await loadSceneManifest(this.source)
+          : prepareSceneManifest(this.source, 'scene manifest');
+      }
+      this.manifest = localizeSceneManifest(this.sourceManifest, getLocale(), getSceneStrings());
+
+      // Initialize audio system
+      this.unlockAudio();
+
+      // Fetch every model, texture, target and soundtrack in parallel before building the scene.
+      // Files preloaded by an earlier start are kept, so a restart only fetches what failed
+      // or what the mode did not need before. Models, textures and audio that still fail are
+      // fetched again directly when they are used.
+      const entries = collectSceneAssets(this.manifest, this.mode !== 'ar');
+      const failedAssets = await this.assets.preload(entries, progress => this.onProgress(progress));
+      if (failedAssets.length > 0) {
+        console.warn('Some assets could not be preloaded:', failedAssets.map(asset => asset.url));
+      }
+
+      this.onLoaded(this.manifest);
+    },
+
+    // Build the scene for the current mode from the loaded manifest and start rendering
+    async mount() {
+      const existing = new Set(this.container.children);
+
+      try {
+        await this.mountMode();
+      } finally {
+        // Also whatever was added before a failure, so stop() can take it away
+        this.elements = [...this.container.children].filter(element => !existing.has(element));
+      }
+    },
+
+    // The part of mount() that differs between modes
+    async mountMode() {
+      this.onStatus(t('preparing'));
+
+      // Follow language changes while mounted
+      if (!this.removeLocaleListener) {
+        this.removeLocaleListener = onLocaleChange(() => this.localize());
+      }
+
+      // Tapping models works the same in both modes
+      if (!this.picker) {
+        this.picker = createModelPicker(this);
+      }
+
+      if (this.mode === 'preview') {
+        // Initialize test scene without AR
+        const result = initTestScene(this);
+
+        if (!result) {
+          throw new Error(t('errorTestScene'));
+        }
+
+        Object.assign(this, result);
+
+        // Follow the container's size, which may change without the window resizing
+        if (typeof ResizeObserver !== 'undefined') {
+          this.resizeObserver = new ResizeObserver(this.handleResize);
+          this.resizeObserver.observe(this.container);
+        } else {
+          window.addEventListener('resize', this.handleResize);
+        }
+
+        await loadTestModels(this);
+        return;
+      }
+
+      if (this.mode === 'world') {
+        // WebXR asks for the camera itself when the session starts
+        this.world = await initializeWorldAR(this);
+        return;
+      }
+
+      await requestCameraAccess();
+
+      // Initialize AR with target tracking
+      await initializeAR(this);
+
+      try {
+        await this.mindarThree.start();
+      } catch (startError) {
+        console.error('Error starting MindAR:', startError);
+        throw new Error(t('errorCameraStart'));
+      }
+
+      this.gestures = createPlacementGestures(this);
+    },
+
+    // Create the audio context if needed and resume it. Call this straight from a
+    // tap or click as well, so browsers that block autoplay let the sound through.
+    unlockAudio() {
+      if (!this.audioContext) {
+        this.audioContext = initAudio();
+      }
+
+      if (!this.audioOutput) {
+        this.audioOutput = createAudioOutput(this.audioContext);
+      }
+
+      if (this.audioContext && this.audioContext.state !== 'running') {
+        this.audioContext.resume().catch(error => {
+          console.warn('Audio is blocked until the page is tapped:', error);
+        });
+      }
+    },
+
+    // Apply the current locale to the manifest and every loaded scene
+    localize() {
+      if (!this.sourceManifest) return;
+
+      this.manifest = localizeSceneManifest(this.sourceManifest, getLocale(), getSceneStrings());
+
+      this.runtimes.forEach(runtime => {
+        const definition = this.manifest.scenes.find(scene => scene.targetIndex === runtime.definition.targetIndex);
+        localizeScene(this, runtime, definition);
+      });
+
+      // An open info card shows the new language too
+      if (this.picker) this.picker.refresh();
+    },
+
+    // Close the info card of the selected model, letting its animation carry on
+    deselectModel() {
+      if (this.picker) this.picker.deselect();
+    },
+
+    // Turn captions on or off for every scene and remember the choice
+    setCaptionsEnabled(enabled) {
+      this.captionsEnabled = enabled;
+      saveCaptionPreference(enabled);
+
+      this.runtimes.forEach(runtime => runtime.showCaption(runtime.caption));
+    },
+
+    // The listener positional sounds are heard from, on the current camera
+    getAudioListener() {
+      if (!this.audioContext || !this.camera) return null;
+
+      if (!this.listener) {
+        // Share the experience's context rather than three.js creating its own
+        THREE.AudioContext.setContext(this.audioContext);
+        this.listener = new THREE.AudioListener();
+        this.camera.add(this.listener);
+      }
+
+      return this.listener;
+    },
+
+    // Load everything and start the experience, stopping it first if it is
+    // already running. Resolves once it is running (or was stopped meanwhile);
+    // rejects after cleaning up if it cannot start.
+    async start() {
+      if (this.state !== 'idle' && this.state !== 'stopped') {
+        await this.stop();
+      }
+
+      this.setState('starting');
+
+      const starting = (async () => {
+        await this.load();
+
+        // Stopped while loading - nothing has been built yet
+        if (this.state !== 'starting') return;
+
+        // Measure the first frame from now, not from the last frame before a restart
+        this.clock.start();
+        await this.mount();
+      })();
+      this.starting = starting;
+
+      try {
+        await starting;
+      } catch (error) {
+        await this.stop();
+        throw error;
+      } finally {
+        if (this.starting === starting) this.starting = null;
+      }
+
+      if (this.state === 'starting') this.setState('running');
+    },
+
+    // Hold the sequences, audio and animations where they are. The camera
+    // feed, rendering and MindAR's tracking carry on, as MindAR has no way to
+    // pause tracking; targets being found or lost are ignored until resume().
+    pause() {
+      if (this.state !== 'running') return;
+
+      this.runtimes.forEach(pauseScene);
+
+      this.setState('paused');
+    },
+
+    // Carry on after pause()
+    resume() {
+      if (this.state !== 'paused') return;
+
+      this.unlockAudio();
+      this.runtimes.forEach(resumeScene);
+
+      this.setState('running');
+    },
+
+    // Play every scene that is showing again from the top, resuming if paused
+    replay() {
+      this.resume();
+      if (this.state !== 'running') return;
+
+      this.unlockAudio();
+      this.runtimes.forEach(restartSceneSequence);
+    },
+
+    // Stop the experience and free everything it made: scenes, models, audio
+    // nodes, the camera and the renderer. The manifest and preloaded assets are
+    // kept, and the audio context is shared, so start() or mount() can follow.
+    async stop() {
+      if (this.stopping) return this.stopping;
+
+      const pending = this.starting;
+      this.setState('stopped');
+
+      this.stopping = (async () => {
+        // Let a start in progress get to a point where it can be undone
+        if (pending) await pending.catch(() => {});
+        await this.teardown();
+      })();
+
+      try {
+        await this.stopping;
+      } finally {
+        this.stopping = null;
+      }
+    },
+
+    // The work of stop(), once no start is in progress
+    async teardown() {
+      // Stop MindAR if in AR mode
+      if (this.mindarThree) {
+        const { mindarThree } = this;
+        this.mindarThree = null;
+
+        // Call cleanup function to clear event listeners
+        if (typeof mindarThree.cleanup === 'function') {
+          mindarThree.cleanup();
+        }
+
+        try {
+          await mindarThree.stop();
+        } catch (error) {
+          console.warn('Error stopping MindAR:', error);
+        }
+
+        // stop() leaves the tracking controller and its worker running
+        if (mindarThree.controller) {
+          try {
+            mindarThree.controller.dispose();
+          } catch (error) {
+            console.warn('Error disposing MindAR controller:', error);
+          }
+          mindarThree.controller = null;
+        }
+
+        // Make sure the camera is let go, even if MindAR failed partway through starting
+        const video = mindarThree.video;
+        if (video && video.srcObject) {
+          video.srcObject.getTracks().forEach(track => track.stop());
+          video.srcObject = null;
+        }
+
+        // MindAR puts its loading and scanning overlays on the page body
+        const { ui } = mindarThree;
+        if (ui) {
+          [ui.loadingModal, ui.compatibilityModal, ui.scanningMask].forEach(element => {
+            if (element) element.remove();
+          });
+        }
+
+        // MindAR's constructor adds a window resize listener bound to the instance
+        // and never removes it, so the listener cannot be taken off from here. Its
+        // resize() returns straight away without a video, which leaves the listener
+        // harmless, and letting go of the renderer and scenes means all it keeps
+        // alive is the emptied instance.
+        Object.assign(mindarThree, { video: null, renderer: null, cssRenderer: null, scene: null, cssScene: null, camera: null });
+      }
+
+      // End the WebXR session if in world mode
+      if (this.world) {
+        await this.world.stop();
+        this.world = null;
+      }
+
+      if (this.removeLocaleListener) {
+        this.removeLocaleListener();
+        this.removeLocaleListener = null;
+      }
+
+      if (this.picker) {
+        this.picker.dispose();
+        this.picker = null;
+      }
+
+      if (this.gestures) {
+        this.gestures.dispose();
+        this.gestures = null;
+      }
+
+      // Stop every scene's sequence and free its audio, text panels and effects
+      this.runtimes.forEach(disposeScene);
+      this.runtimes = [];
+
+      // Free the models, their animations and their textures
+      this.models.clearModels();
+
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+      }
+      window.removeEventListener('resize', this.handleResize);
+
+      // Disconnect positional audio's listener and the volume control
+      if (this.listener) {
+        this.listener.getInput().disconnect();
+        this.listener.removeFromParent();
+        this.listener = null;
+      }
+
+      if (this.audioOutput) {
+        this.audioOutput.dispose();
+        this.audioOutput = null;
+      }
+
+      // Clean up renderer
+      if (this.renderer) {
+        this.renderer.setAnimationLoop(null);
+
+        // Dispose of orbit controls if they exist
+        if (this.orbitControls) {
+          this.orbitControls.dispose();
+          this.orbitControls = null;
+        }
+
+        // Lights, error panels and anything else left in the scene
+        if (this.scene) disposeObject(this.scene);
+
+        // Browsers only allow a few WebGL contexts, so give this one back now
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer = null;
+      }
+
+      // Remove the canvas, video and buttons mount() added, leaving anything a
+      // newer experience has put in the container
+      this.elements.forEach(element => element.remove());
+      this.elements = [];
+
+      // Clear scene and camera references
+      this.scene = null;
+      this.camera = null;
+    },
+
+    // Match the preview renderer to its container (MindAR handles resize itself in AR mode)
+    resize() {
+      if (this.mode !== 'preview' || !this.renderer) return;
+
+      const width = this.container.clientWidth || window.innerWidth;
+      const height = this.container.clientHeight || window.innerHeight;
+
+      this.camera.aspect = width / height;
+      this.camera.updateProjectionMatrix();
+      this.renderer.setSize(width, height);
+    }
+  };
+
+  experience.models = createModelManager(experience.assets);
+  experience.handleResize = () => experience.resize();
+
+  return experience;
+}
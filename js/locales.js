@@ -0,0 +1,176 @@
+// Languages the experience can be shown in, and the script each is written in
+export const LOCALES = {
+  en: { name: 'English', script: 'latin' },
+  zh: { name: '中文', script: 'han' },
+  ms: { name: 'Bahasa Melayu', script: 'latin' },
+  ta: { name: 'தமிழ்', script: 'tamil' }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// Font stacks for the canvas text panels, by script. Arial Black has no
+// Chinese or Tamil glyphs, so those fall back to the system fonts that do.
+const FONTS = {
+  latin: {
+    headline: '"Arial Black", sans-serif',
+    body: 'Arial, sans-serif'
+  },
+  han: {
+    headline: '"PingFang SC", "Noto Sans CJK SC", "Noto Sans SC", "Microsoft YaHei", sans-serif',
+    body: '"PingFang SC", "Noto Sans CJK SC", "Noto Sans SC", "Microsoft YaHei", sans-serif'
+  },
+  tamil: {
+    headline: '"Tamil Sangam MN", "Noto Sans Tamil", "Nirmala UI", Latha, sans-serif',
+    body: '"Tamil Sangam MN", "Noto Sans Tamil", "Nirmala UI", Latha, sans-serif'
+  }
+};
+
+// English strings, used until a bundle loads and for anything a bundle leaves out
+const DEFAULT_STRINGS = {
+  start: 'Start',
+  startTitle: 'SAFRA AR Experience',
+  startPrompt: 'Find the poster and point your camera at it, or view the scene in 3D.',
+  startPoster: 'Point at poster',
+  startPreview: 'View in 3D',
+  startWorld: 'Place on floor',
+  language: 'Language',
+  loading: 'Loading 3D Models...',
+  loadingPercent: 'Loading 3D Models... {percent}%',
+  loadingBytes: '{loaded} of {total}',
+  preparing: 'Preparing scene...',
+  assetPending: 'pending',
+  assetDone: 'done',
+  assetFailed: 'failed',
+  assetRetrying: 'retrying ({attempt}/{attempts})',
+  resetCamera: 'Reset Camera',
+  worldEnter: 'Enter AR',
+  worldScanning: 'Move your phone slowly to find the floor',
+  worldPlace: 'Tap to place the scene',
+  mute: 'Mute',
+  unmute: 'Unmute',
+  volume: 'Volume',
+  enableSound: 'Tap to enable sound',
+  captions: 'Captions',
+  transcript: 'Transcript',
+  close: 'Close',
+  pause: 'Pause',
+  resume: 'Resume',
+  replay: 'Replay',
+  exit: 'Exit',
+  infoLink: 'Learn more',
+  offlineReady: 'Available offline',
+  offlineSaved: 'Offline - using saved copy',
+  offline: 'Offline',
+  errorCameraDenied: 'Camera permission denied. Please allow camera access to use AR mode.',
+  errorCameraStart: 'Failed to start camera. Please check camera permissions and try again.',
+  errorTarget: 'Cannot access target file',
+  errorTestScene: 'Failed to initialize test scene',
+  errorModelTitle: 'Error Loading Model:',
+  errorModel: 'Failed to load {path}',
+  errorModelDetail: 'Check console for details',
+  errorArFallback: 'Could not start AR: {message} You can view the scene in 3D instead.',
+  errorWorldStart: 'Could not start AR in this room. Try the poster or test mode instead.',
+  errorStart: 'Error starting experience: {message}',
+  errorStop: 'Error stopping experience: {message}',
+  errorStartShort: 'Failed to start',
+  errorUnknown: 'Unknown error',
+  errorApplication: 'Application error'
+};
+
+let currentLocale = DEFAULT_LOCALE;
+let bundle = { strings: {}, scenes: {} };
+let ready = Promise.resolve();
+let requestId = 0;
+const listeners = new Set();
+
+// Match a language tag such as zh-Hans-SG to one of the supported locales
+export function matchLocale(tag) {
+  if (!tag) return null;
+  const language = tag.toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : null;
+}
+
+// Pick the locale from the ?lang= URL parameter, then the browser's languages
+export function detectLocale(search = window.location.search, languages = navigator.languages || [navigator.language]) {
+  const requested = matchLocale(new URLSearchParams(search).get('lang'));
+  if (requested) return requested;
+
+  for (const language of languages) {
+    const locale = matchLocale(language);
+    if (locale) return locale;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+// Fetch a locale's string bundle. English is built in and has none.
+async function loadLocaleBundle(locale) {
+  if (locale === DEFAULT_LOCALE) {
+    return { strings: {}, scenes: {} };
+  }
+
+  const response = await fetch(`locales/${locale}.json`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return { strings: data.strings || {}, scenes: data.scenes || {} };
+}
+
+// Switch to a locale, loading its bundle, and tell everything showing text to re-render.
+// A bundle that cannot be loaded leaves the experience in English.
+export function changeLocale(locale) {
+  const id = ++requestId;
+  const next = matchLocale(locale) || DEFAULT_LOCALE;
+
+  ready = loadLocaleBundle(next)
+    .then(loaded => ({ locale: next, loaded }))
+    .catch(error => {
+      console.error(`Failed to load strings for ${next}:`, error);
+      return { locale: DEFAULT_LOCALE, loaded: { strings: {}, scenes: {} } };
+    })
+    .then(({ locale: resolved, loaded }) => {
+      // A later change has already replaced this one
+      if (id !== requestId) return;
+
+      currentLocale = resolved;
+      bundle = loaded;
+      listeners.forEach(listener => listener(currentLocale));
+    });
+
+  return ready;
+}
+
+// Resolves once the latest locale change has finished loading
+export function whenLocaleReady() {
+  return ready;
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+// Font stacks for the current locale's script
+export function getFonts(locale = currentLocale) {
+  return FONTS[LOCALES[locale].script];
+}
+
+// Text panel copy from the bundle, by target index and then panel id
+export function getSceneStrings() {
+  return bundle.scenes;
+}
+
+// Look up a UI string, filling in {placeholders} from values
+export function t(key, values = {}) {
+  const template = bundle.strings[key] !== undefined ? bundle.strings[key] : DEFAULT_STRINGS[key];
+  if (template === undefined) return key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+// Call listener(locale) after every locale change. Returns a function that stops it.
+export function onLocaleChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
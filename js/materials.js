@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+
+// Helper functions for model fixes
+// Fix material issues
+export function fixMaterial(material) {
+  // Convert MeshPhongMaterial to MeshStandardMaterial for better PBR
+  if (material.isMeshPhongMaterial) {
+    const standardMaterial = new THREE.MeshStandardMaterial();
+
+    // Copy basic properties
+    standardMaterial.map = material.map;
+    standardMaterial.color.copy(material.color);
+    standardMaterial.transparent = material.transparent;
+    standardMaterial.opacity = material.opacity;
+    standardMaterial.side = THREE.DoubleSide;
+
+    // PBR properties
+    standardMaterial.roughness = 0.6; // Moderate roughness
+    standardMaterial.metalness = 0.0; // Non-metallic material
+
+    // Ensure textures are properly set up
+    if (standardMaterial.map) {
+      standardMaterial.map.colorSpace = THREE.SRGBColorSpace;
+      standardMaterial.map.needsUpdate = true;
+    }
+
+    // Copy normal map if exists
+    if (material.normalMap) {
+      standardMaterial.normalMap = material.normalMap;
+      standardMaterial.normalScale.copy(material.normalScale);
+    }
+    return standardMaterial;
+  }
+
+  // For non-Phong materials, apply basic fixes
+  material.side = THREE.DoubleSide;
+
+  if (material.transparent) {
+    material.opacity = 1.0;
+    material.alphaTest = 0.01;
+    material.depthWrite = true;
+  }
+
+  if (material.map) {
+    material.map.colorSpace = THREE.SRGBColorSpace;
+    material.map.needsUpdate = true;
+  }
+
+  if (material.normalMap) {
+    material.normalMap.needsUpdate = true;
+    material.normalScale.set(1, 1);
+  }
+
+  material.needsUpdate = true;
+  return material;
+}
+
+// Fix geometry issues
+export function fixGeometry(geometry) {
+  // Check and fix normal vectors if needed
+  if (geometry.attributes.normal) {
+    geometry.computeVertexNormals(); // Recompute normals
+    geometry.attributes.normal.needsUpdate = true;
+  } else {
+    geometry.computeVertexNormals();
+  }
+
+  // Make sure buffers are updated
+  geometry.attributes.position.needsUpdate = true;
+
+  return geometry;
+}
+
+// Apply warm emissive material to dis-ball model
+export function applyWarmEmissiveMaterial(object) {
+  // Create a warm emissive material
+  const warmEmissiveMaterial = new THREE.MeshStandardMaterial({
+    color: new THREE.Color(0xffffff), // Warm orange-yellow color
+    emissive: new THREE.Color(0xff6600), // Warm orange emissive color
+    emissiveIntensity: 3, // Strong emissive effect
+    roughness: 0.3, // Slightly glossy
+    side: THREE.DoubleSide // Render both sides
+  });
+
+  // Apply the material to the object
+  object.traverse(child => {
+    if (child.isMesh) {
+      // Store the original material for reference
+      child.userData.originalMaterial = child.material;
+
+      // Apply the new material
+      child.material = warmEmissiveMaterial;
+    }
+  });
+  return object;
+}
+
+// Free the GPU copies of everything under an object: geometries, materials
+// and the textures the materials use. The objects can still be garbage collected
+// afterwards, but must not be rendered again.
+export function disposeObject(object) {
+  object.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+
+    // Models given the warm emissive material keep their own one aside too
+    [].concat(child.material, child.userData.originalMaterial)
+      .filter(Boolean)
+      .forEach(disposeMaterial);
+  });
+}
+
+// Free a material and its textures, including those in shader uniforms
+function disposeMaterial(material) {
+  Object.values(material).forEach(value => {
+    if (value && value.isTexture) value.dispose();
+  });
+
+  Object.values(material.uniforms || {}).forEach(uniform => {
+    if (uniform && uniform.value && uniform.value.isTexture) uniform.value.dispose();
+  });
+
+  material.dispose();
+}
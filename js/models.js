@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { fixMaterial, fixGeometry, applyWarmEmissiveMaterial, disposeObject } from './materials.js';
+
+// Loaders by model format. Anything with the same parse/loadAsync methods
+// can stand in, for example a stub that returns a prebuilt object under Node.
+const DEFAULT_LOADERS = {
+  fbx: manager => new FBXLoader(manager),
+  gltf: manager => new GLTFLoader(manager)
+};
+
+// Create a ModelManager for handling model loading and animations.
+// Preloaded files and textures are taken from the given asset loader.
+export function createModelManager(assets = null, loaders = DEFAULT_LOADERS) {
+  return {
+    models: {},
+    mixers: {},
+    actions: {},
+    loadingManager: null,
+
+    // Loading manager that serves preloaded textures instead of fetching them again
+    getLoadingManager() {
+      if (!this.loadingManager) {
+        this.loadingManager = new THREE.LoadingManager();
+        this.loadingManager.setURLModifier(url => (assets && assets.getObjectURL(url)) || url);
+      }
+      return this.loadingManager;
+    },
+
+    // Load a model from the given path with options (options.key defaults to the path)
+    async loadModel(path, options = {}) {
+      // Default options
+      const defaultOptions = {
+        position: { x: 0, y: 0, z: 0 },
+        rotation: { x: 0, y: 0, z: 0 },
+        scale: path.toLowerCase().endsWith('.glb') ? 1.0 : 0.01,
+        visible: true,
+        delay: 0
+      };
+
+      // Merge options with defaults
+      const modelOptions = { ...defaultOptions, ...options };
+
+      // Models are stored by key so the same file can be used in several scenes
+      const key = modelOptions.key || path;
+
+      try {
+        // Load model based on file extension
+        let object;
+        let animations = [];
+
+        // Parse from the preloaded file when there is one, otherwise fetch it
+        const buffer = assets ? assets.getBuffer(path) : null;
+        const resourcePath = THREE.LoaderUtils.extractUrlBase(path);
+
+        if (path.toLowerCase().endsWith('.fbx')) {
+          const loader = loaders.fbx(this.getLoadingManager());
+          object = buffer ? loader.parse(buffer, resourcePath) : await loader.loadAsync(path);
+
+          if (object.animations && object.animations.length > 0) {
+            animations = object.animations;
+          }
+        } else if (path.toLowerCase().endsWith('.glb') || path.toLowerCase().endsWith('.gltf')) {
+          const loader = loaders.gltf(this.getLoadingManager());
+          const gltf = buffer ? await loader.parseAsync(buffer, resourcePath) : await loader.loadAsync(path);
+          object = gltf.scene;
+
+          if (gltf.animations && gltf.animations.length > 0) {
+            animations = gltf.animations;
+          }
+        } else {
+          throw new Error(`Unsupported model format: ${path}`);
+        }
+
+        // Set position, rotation, and scale
+        object.position.set(
+          modelOptions.position.x,
+          modelOptions.position.y,
+          modelOptions.position.z
+        );
+
+        object.rotation.set(
+          modelOptions.rotation.x,
+          modelOptions.rotation.y,
+          modelOptions.rotation.z
+        );
+
+        // Apply scale (different default for GLB vs FBX)
+        object.scale.set(modelOptions.scale, modelOptions.scale, modelOptions.scale);
+
+        // Check if this is the dis-ball model and apply special material
+        if (path.includes('dis-ball')) {
+          object = applyWarmEmissiveMaterial(object);
+        } else {
+          // Fix materials for other models
+          object.traverse((child) => {
+            if (child.isMesh) {
+              child.material = fixMaterial(child.material);
+
+              // Fix geometry if needed
+              if (child.geometry) {
+                child.geometry = fixGeometry(child.geometry);
+              }
+            }
+          });
+        }
+
+        // Set initial visibility
+        object.visible = modelOptions.visible;
+
+        // Create animation mixer if there are animations
+        if (animations.length > 0) {
+          const mixer = new THREE.AnimationMixer(object);
+          this.mixers[key] = mixer;
+
+          // Create animation actions
+          const actions = {};
+          animations.forEach((animation, index) => {
+            const actionName = animation.name || `animation_${index}`;
+            // Create the action
+            const action = mixer.clipAction(animation);
+
+            // Configure the action to play only once
+            action.loop = THREE.LoopOnce;
+            action.clampWhenFinished = true; // Holds the last frame when finished
+
+            // Set initial state to paused
+            action.paused = true;
+            action.play();
+
+            actions[actionName] = action;
+          });
+
+          this.actions[key] = actions;
+        }
+
+        // Store the model
+        this.models[key] = {
+          object,
+          path,
+          options: modelOptions,
+          animations
+        };
+
+        return this.models[key];
+      } catch (error) {
+        console.error(`Error loading model ${path}:`, error);
+        throw error;
+      }
+    },
+
+    // Update animation mixers for the given model keys (all by default)
+    updateAnimations(delta, keys = Object.keys(this.models)) {
+      keys.forEach(key => {
+        if (this.mixers[key]) {
+          this.mixers[key].update(delta);
+        }
+      });
+
+      // Update custom animations for models
+      keys.forEach(key => {
+        const model = this.models[key];
+        if (model.object && model.object.userData && model.object.userData.update) {
+          model.object.userData.update(delta);
+        }
+      });
+    },
+
+    // Show a model, starting its animations the given number of seconds in
+    showModel(key, elapsed = 0) {
+      if (!this.models[key]) {
+        console.warn(`Cannot show model ${key}: not loaded`);
+        return;
+      }
+
+      this.models[key].object.visible = true;
+
+      // Start animations when the model becomes visible
+      if (this.actions[key]) {
+        Object.keys(this.actions[key]).forEach(actionName => {
+          const action = this.actions[key][actionName];
+
+          // Reset the animation, then skip ahead if the sequence was seeked
+          action.reset();
+          action.time = elapsed;
+          action.paused = false;
+          action.play();
+        });
+      }
+    },
+
+    // Hide a model
+    hideModel(key) {
+      if (!this.models[key]) {
+        console.warn(`Cannot hide model ${key}: not loaded`);
+        return;
+      }
+      this.models[key].object.visible = false;
+
+      // Pause animations when the model is hidden
+      if (this.actions[key]) {
+        Object.keys(this.actions[key]).forEach(actionName => {
+          const action = this.actions[key][actionName];
+          action.paused = true;
+        });
+      }
+    },
+
+    // Hold a model's animations where they are, or let them carry on. Resetting
+    // the model also lets them carry on.
+    setModelPaused(key, paused) {
+      if (this.mixers[key]) {
+        this.mixers[key].timeScale = paused ? 0 : 1;
+      }
+    },
+
+    // Hide the given models (all by default)
+    hideAllModels(keys = Object.keys(this.models)) {
+      keys.forEach(key => {
+        this.hideModel(key);
+      });
+    },
+
+    // Reset models to hidden with their animations rewound (all by default)
+    resetModels(keys = Object.keys(this.models)) {
+      // First hide the models
+      this.hideAllModels(keys);
+
+      // Reset their animation mixers and actions
+      keys.forEach(key => {
+        if (this.mixers[key]) {
+          // Stop the current mixer
+          this.mixers[key].stopAllAction();
+
+          // Create a new mixer to reset all animations
+          const model = this.models[key];
+          const newMixer = new THREE.AnimationMixer(model.object);
+          this.mixers[key] = newMixer;
+
+          // Recreate all actions
+          if (model.animations && model.animations.length > 0) {
+            const actions = {};
+            model.animations.forEach((animation, index) => {
+              const actionName = animation.name || `animation_${index}`;
+
+              // Create the action
+              const action = newMixer.clipAction(animation);
+
+              // Configure the action to play only once
+              action.loop = THREE.LoopOnce;
+              action.clampWhenFinished = true; // Holds the last frame when finished
+
+              // Set initial state to paused - after reset(), which unpauses
+              action.reset();
+              action.paused = true;
+              action.play();
+
+              actions[actionName] = action;
+            });
+
+            this.actions[key] = actions;
+          }
+        }
+      });
+    },
+
+    // Stop every animation, free the models' geometries, materials and
+    // textures, and forget them. Load them again before showing them.
+    clearModels() {
+      // Dispose mixers, letting go of their cached clips and bindings
+      Object.keys(this.mixers).forEach(key => {
+        const mixer = this.mixers[key];
+        mixer.stopAllAction();
+        mixer.uncacheRoot(mixer.getRoot());
+        delete this.mixers[key];
+      });
+
+      // Clear actions
+      this.actions = {};
+
+      // Free the GPU copies and take the models out of the scene
+      Object.values(this.models).forEach(({ object }) => {
+        disposeObject(object);
+        object.removeFromParent();
+      });
+      this.models = {};
+    }
+  };
+}
@@ -0,0 +1,322 @@
+import * as THREE from 'three';
+
+// Most particles one system can hold, so a scene cannot ask for more than a phone can draw
+const MAX_PARTICLES = 1000;
+
+// Birth time of a particle that is not alive
+const DEAD = -1e6;
+
+// Starting points for each kind of effect; any of these can be set per system in the manifest
+const PARTICLE_PRESETS = {
+  // Hot sparks thrown out in all directions and falling away
+  sparks: {
+    count: 150,
+    rate: 60, // Particles per second while running
+    burst: 0, // Particles thrown out at once when it starts
+    lifetime: 900, // Longest life of a particle (ms); each lives between half and all of it
+    size: 0.05,
+    colors: ['#ffdd88', '#ff8822', '#ff5500'],
+    opacity: 1,
+    speed: 1.2,
+    rise: 0.6, // Upward speed added to every particle
+    gravity: -2.5,
+    drag: 0,
+    flutter: 0,
+    radius: 0.15, // Particles start within a cylinder of this radius and height
+    height: 0.3,
+    shape: 'round',
+    blending: 'additive'
+  },
+
+  // Paper squares thrown up, tumbling and drifting as they fall
+  confetti: {
+    count: 300,
+    rate: 0,
+    burst: 250,
+    lifetime: 4500,
+    size: 0.07,
+    colors: ['#c8102e', '#ffffff', '#ffcd00', '#00a3e0', '#43b02a'],
+    opacity: 1,
+    speed: 1.5,
+    rise: 3,
+    gravity: -1.2,
+    drag: 1.2,
+    flutter: 0.25,
+    radius: 0.5,
+    height: 0.2,
+    shape: 'square',
+    blending: 'normal'
+  },
+
+  // Slow motes floating in the air, such as in the spotlight beams
+  dust: {
+    count: 80,
+    rate: 10,
+    burst: 40,
+    lifetime: 7000,
+    size: 0.025,
+    colors: ['#fff1e0'],
+    opacity: 0.6,
+    speed: 0.06,
+    rise: 0.02,
+    gravity: 0,
+    drag: 0,
+    flutter: 0.05,
+    radius: 0.8,
+    height: 3,
+    shape: 'round',
+    blending: 'additive'
+  }
+};
+
+// Particles move on the GPU: the CPU only writes a particle's starting state
+// when it is spawned, and the shader works out where it is from its age.
+const PARTICLE_VERTEX_SHADER = `
+  uniform float time;
+  uniform float gravity;
+  uniform float drag;
+  uniform float flutter;
+  uniform float size;
+  uniform float viewportHeight;
+
+  attribute vec3 velocity;
+  attribute vec4 timing; // Birth time and lifetime (s), random seed, spin speed
+  attribute vec3 particleColor;
+
+  varying vec3 vColor;
+  varying float vAlpha;
+  varying float vSpin;
+
+  void main() {
+    float age = time - timing.x;
+    float life = timing.y;
+
+    // Dead particles are left outside the view, with no size
+    if (age < 0.0 || age > life) {
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      gl_PointSize = 0.0;
+      return;
+    }
+
+    // Drag slows the initial throw; gravity keeps pulling
+    float travel = drag > 0.0 ? (1.0 - exp(-drag * age)) / drag : age;
+    vec3 point = position + velocity * travel;
+    point.y += 0.5 * gravity * age * age;
+
+    // Side to side sway, out of step between particles
+    float phase = timing.z * 6.2831853;
+    point.x += sin(age * 3.0 + phase) * flutter;
+    point.z += cos(age * 2.3 + phase) * flutter;
+
+    vec4 mvPosition = modelViewMatrix * vec4(point, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+
+    // size is in scene units, so particles keep their size as the tracker scales the scene
+    float scale = length(modelViewMatrix[0].xyz);
+    gl_PointSize = size * scale * projectionMatrix[1][1] * viewportHeight * 0.5 / max(-mvPosition.z, 0.0001);
+
+    float progress = age / life;
+    vAlpha = smoothstep(0.0, 0.08, progress) * (1.0 - smoothstep(0.7, 1.0, progress));
+    vColor = particleColor;
+    vSpin = timing.w * age + phase;
+  }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+  uniform float opacity;
+  uniform float square;
+
+  varying vec3 vColor;
+  varying float vAlpha;
+  varying float vSpin;
+
+  void main() {
+    vec2 uv = gl_PointCoord - 0.5;
+    float alpha = 1.0;
+
+    if (square > 0.5) {
+      // A paper square turning in the air: rotated, and narrowing as it tips edge on
+      float c = cos(vSpin);
+      float s = sin(vSpin);
+      vec2 turned = vec2(c * uv.x - s * uv.y, s * uv.x + c * uv.y);
+      turned.y /= max(abs(cos(vSpin * 0.7)), 0.15);
+      if (abs(turned.x) > 0.3 || abs(turned.y) > 0.3) discard;
+    } else {
+      // Soft round glow
+      float distance = length(uv) * 2.0;
+      if (distance > 1.0) discard;
+      alpha = pow(1.0 - distance, 1.5);
+    }
+
+    gl_FragColor = vec4(vColor, alpha * vAlpha * opacity);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+// Create a particle system from a preset - 'sparks', 'confetti' or 'dust' -
+// with options overriding the preset's values; other keys are ignored. All
+// particles come from a fixed pool drawn in one call, so nothing is
+// allocated while it runs; when the pool is full the oldest particle is reused.
+//
+// Returns { object, settings, start(), stop(), burst(count), reset(), update(delta), dispose() }.
+export function createParticleSystem(preset, options = {}) {
+  const settings = { ...PARTICLE_PRESETS[preset] };
+  Object.keys(settings).forEach(key => {
+    if (options[key] !== undefined) settings[key] = options[key];
+  });
+
+  const count = Math.max(1, Math.min(Math.round(settings.count), MAX_PARTICLES));
+  const colors = settings.colors.map(color => new THREE.Color(color));
+
+  const positions = new Float32Array(count * 3);
+  const velocities = new Float32Array(count * 3);
+  const timings = new Float32Array(count * 4);
+  const particleColors = new Float32Array(count * 3);
+
+  // Every particle starts dead
+  for (let i = 0; i < count; i++) {
+    timings[i * 4] = DEAD;
+    timings[i * 4 + 1] = 1;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  const attributes = {
+    position: new THREE.BufferAttribute(positions, 3),
+    velocity: new THREE.BufferAttribute(velocities, 3),
+    timing: new THREE.BufferAttribute(timings, 4),
+    particleColor: new THREE.BufferAttribute(particleColors, 3)
+  };
+  Object.entries(attributes).forEach(([name, attribute]) => {
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute(name, attribute);
+  });
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      time: { value: 0 },
+      gravity: { value: settings.gravity },
+      drag: { value: settings.drag },
+      flutter: { value: settings.flutter },
+      size: { value: settings.size },
+      viewportHeight: { value: 1 },
+      opacity: { value: settings.opacity },
+      square: { value: settings.shape === 'square' ? 1 : 0 }
+    },
+    vertexShader: PARTICLE_VERTEX_SHADER,
+    fragmentShader: PARTICLE_FRAGMENT_SHADER,
+    transparent: true,
+    blending: settings.blending === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending,
+    depthWrite: false
+  });
+
+  const object = new THREE.Points(geometry, material);
+  object.frustumCulled = false; // The shader moves particles away from the geometry's bounds
+  object.visible = false;
+
+  // Point sizes are worked out in pixels of the canvas being drawn to
+  const drawingBufferSize = new THREE.Vector2();
+  object.onBeforeRender = renderer => {
+    material.uniforms.viewportHeight.value = renderer.getDrawingBufferSize(drawingBufferSize).y;
+  };
+
+  let time = 0; // Seconds since the system was reset
+  let running = false;
+  let pending = 0; // Fraction of a particle owed by the emission rate
+  let next = 0; // Pool slot the next particle goes into
+  let aliveUntil = 0; // When the last particle spawned so far dies
+  let changed = false;
+  const direction = new THREE.Vector3();
+
+  // Start one particle at a random point in the cylinder, thrown out in a random direction
+  const spawn = () => {
+    const i = next;
+    next = (next + 1) % count;
+
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.sqrt(Math.random()) * settings.radius;
+    positions[i * 3] = Math.cos(angle) * distance;
+    positions[i * 3 + 1] = (Math.random() - 0.5) * settings.height;
+    positions[i * 3 + 2] = Math.sin(angle) * distance;
+
+    direction.randomDirection().multiplyScalar(settings.speed * (0.5 + Math.random() * 0.5));
+    velocities[i * 3] = direction.x;
+    velocities[i * 3 + 1] = direction.y + settings.rise;
+    velocities[i * 3 + 2] = direction.z;
+
+    const life = (settings.lifetime / 1000) * (0.5 + Math.random() * 0.5);
+    timings[i * 4] = time;
+    timings[i * 4 + 1] = life;
+    timings[i * 4 + 2] = Math.random();
+    timings[i * 4 + 3] = (Math.random() - 0.5) * 12;
+
+    colors[Math.floor(Math.random() * colors.length)].toArray(particleColors, i * 3);
+
+    aliveUntil = Math.max(aliveUntil, time + life);
+    changed = true;
+  };
+
+  const system = {
+    object,
+    settings,
+
+    // Start emitting, with the preset's burst
+    start() {
+      running = true;
+      pending = 0;
+      system.burst(settings.burst);
+    },
+
+    // Stop emitting; particles already out live out their lives
+    stop() {
+      running = false;
+    },
+
+    burst(amount) {
+      for (let i = 0; i < Math.min(amount, count); i++) spawn();
+    },
+
+    // Stop at once, with every particle gone
+    reset() {
+      running = false;
+      pending = 0;
+      time = 0;
+      aliveUntil = 0;
+      for (let i = 0; i < count; i++) {
+        timings[i * 4] = DEAD;
+      }
+      changed = true;
+      system.update(0);
+    },
+
+    // Move particles on by the render clock delta (seconds), spawning new ones at the rate
+    update(delta) {
+      time += delta;
+
+      if (running && settings.rate > 0) {
+        pending += settings.rate * delta;
+        const amount = Math.floor(pending);
+        pending -= amount;
+        system.burst(amount);
+      }
+
+      if (changed) {
+        Object.values(attributes).forEach(attribute => {
+          attribute.needsUpdate = true;
+        });
+        changed = false;
+      }
+
+      material.uniforms.time.value = time;
+      object.visible = time < aliveUntil;
+    },
+
+    dispose() {
+      geometry.dispose();
+      material.dispose();
+    }
+  };
+
+  return system;
+}
@@ -0,0 +1,174 @@
+import * as THREE from 'three';
+import { createHighlight } from './effects.js';
+
+// Furthest a pointer can move (px) and longest it can be held (ms) for a tap,
+// so dragging to orbit the preview camera does not pick anything
+const TAP_DISTANCE = 10;
+const TAP_DURATION = 500;
+
+// Whether an object and everything above it is visible - a hidden anchor
+// hides its models without changing their own visible flag
+function isShown(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+// Whether a canvas is flipped horizontally, as MindAR does to mirror the camera
+export function isMirrored(element) {
+  const transform = window.getComputedStyle(element).transform;
+  return Boolean(transform) && transform !== 'none' && new DOMMatrixReadOnly(transform).a < 0;
+}
+
+// Set pointer to a point on the screen in normalized device coordinates of the
+// canvas, allowing for mirroring. Returns false when the canvas is not showing.
+export function toPointer(canvas, clientX, clientY, pointer) {
+  const rect = canvas.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return false;
+
+  pointer.set(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
+  );
+  if (isMirrored(canvas)) pointer.x = -pointer.x;
+
+  return true;
+}
+
+// Let models with an info card be tapped or clicked in the experience's
+// container. A tapped model is highlighted and its animation held, and
+// experience.onModelSelect is called with { id, info, imageUrl, definition },
+// imageUrl being the preloaded copy of the image where there is one; tapping
+// anything else, or deselect(), lets it go and calls it with null.
+//
+// Returns { selection, select(runtime, key), deselect(), refresh(), update(), dispose() }.
+export function createModelPicker(experience) {
+  const { container } = experience;
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let pressed = null; // Where and when the current press started
+
+  // The scene's current model config, which follows the language
+  const getModelConfig = (runtime, key) => {
+    const { id } = runtime.models.models[key].options;
+    return runtime.definition.models.find(model => model.id === id);
+  };
+
+  // Find the model with an info card under a point on the screen
+  const pick = (clientX, clientY) => {
+    const canvas = experience.renderer && experience.renderer.domElement;
+    if (!canvas || !experience.camera || !toPointer(canvas, clientX, clientY, pointer)) return null;
+
+    // Models that can be picked, by their root object
+    const candidates = new Map();
+    experience.runtimes.forEach(runtime => {
+      runtime.modelKeys.forEach(key => {
+        const { object } = runtime.models.models[key];
+        const config = getModelConfig(runtime, key);
+        if (config && config.info && isShown(object)) {
+          candidates.set(object, { runtime, key });
+        }
+      });
+    });
+    if (candidates.size === 0) return null;
+
+    raycaster.setFromCamera(pointer, experience.camera);
+    const hits = raycaster.intersectObjects([...candidates.keys()], true);
+
+    for (const hit of hits) {
+      if (!isShown(hit.object)) continue;
+
+      for (let node = hit.object; node; node = node.parent) {
+        if (candidates.has(node)) return candidates.get(node);
+      }
+    }
+
+    return null;
+  };
+
+  const handlePointerDown = event => {
+    if (!event.isPrimary) return;
+    pressed = { x: event.clientX, y: event.clientY, time: performance.now() };
+  };
+
+  const handlePointerUp = event => {
+    if (!event.isPrimary || !pressed) return;
+
+    const moved = Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y);
+    const held = performance.now() - pressed.time;
+    pressed = null;
+
+    // Taps on controls inside the container are theirs, not the scene's
+    if (moved > TAP_DISTANCE || held > TAP_DURATION || event.target.closest('button, a, input, select')) return;
+
+    const hit = pick(event.clientX, event.clientY);
+    if (hit) {
+      picker.select(hit.runtime, hit.key);
+    } else {
+      picker.deselect();
+    }
+  };
+
+  const handlePointerCancel = () => {
+    pressed = null;
+  };
+
+  container.addEventListener('pointerdown', handlePointerDown);
+  container.addEventListener('pointerup', handlePointerUp);
+  container.addEventListener('pointercancel', handlePointerCancel);
+
+  const picker = {
+    selection: null, // { runtime, key, highlight } of the selected model, or null
+
+    select(runtime, key) {
+      if (picker.selection && picker.selection.runtime === runtime && picker.selection.key === key) return;
+      picker.deselect();
+
+      const { object } = runtime.models.models[key];
+      picker.selection = { runtime, key, highlight: createHighlight(object) };
+      runtime.models.setModelPaused(key, true);
+      picker.refresh();
+    },
+
+    deselect() {
+      if (!picker.selection) return;
+
+      const { runtime, key, highlight } = picker.selection;
+      picker.selection = null;
+
+      highlight.dispose();
+      runtime.models.setModelPaused(key, false);
+      experience.onModelSelect(null);
+    },
+
+    // Tell the experience about the selection again, such as after a language change
+    refresh() {
+      if (!picker.selection) return;
+
+      const { runtime, key } = picker.selection;
+      const { id, info } = getModelConfig(runtime, key);
+      const imageUrl = info.image && (experience.assets.getObjectURL(info.image) || info.image);
+      experience.onModelSelect({ id, info, imageUrl, definition: runtime.definition });
+    },
+
+    // Let go of a model the sequence has hidden, such as at the end of a cycle
+    update() {
+      if (!picker.selection) return;
+
+      const { runtime, key } = picker.selection;
+      if (!runtime.models.models[key].object.visible) {
+        picker.deselect();
+      }
+    },
+
+    dispose() {
+      picker.deselect();
+      container.removeEventListener('pointerdown', handlePointerDown);
+      container.removeEventListener('pointerup', handlePointerUp);
+      container.removeEventListener('pointercancel', handlePointerCancel);
+    }
+  };
+
+  return picker;
+}
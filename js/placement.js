@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+import { isMirrored, toPointer } from './picking.js';
+
+const PLACEMENT_STORAGE_KEY = 'safra-ar-placement';
+
+// Two taps this close together in time (ms) and space (px) put the scene back
+const DOUBLE_TAP_TIME = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+
+// Furthest a finger can move (px) and still count as a tap
+const TAP_DISTANCE = 10;
+
+// Adjustments saved in earlier visits, by manifest target and target index
+function loadSavedPlacements() {
+  try {
+    return JSON.parse(localStorage.getItem(PLACEMENT_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read saved placement:', error);
+    return {};
+  }
+}
+
+function savePlacements(placements) {
+  try {
+    localStorage.setItem(PLACEMENT_STORAGE_KEY, JSON.stringify(placements));
+  } catch (error) {
+    console.warn('Could not save placement:', error);
+  }
+}
+
+// The key a scene's adjustment is saved under - the same target index can be
+// a different poster in another manifest
+function getPlacementKey(manifest, definition) {
+  return `${manifest.target}#${definition.targetIndex}`;
+}
+
+// A scene's placement from its definition, as { x, y, z, scale, rotation } with rotation in radians
+function getDefaultPlacement({ placement }) {
+  const { position, scale, rotation } = placement;
+  return { ...position, scale, rotation: THREE.MathUtils.degToRad(rotation) };
+}
+
+// Keep a placement within the limits of its scene's settings
+function clampPlacement(placement, settings) {
+  const { position, minScale, maxScale, maxOffset } = settings;
+  const clampOffset = (value, origin) => THREE.MathUtils.clamp(value, origin - maxOffset, origin + maxOffset);
+
+  // Angle wrapped into -180 to 180 degrees
+  const rotation = Math.atan2(Math.sin(placement.rotation), Math.cos(placement.rotation));
+
+  return {
+    x: clampOffset(placement.x, position.x),
+    y: clampOffset(placement.y, position.y),
+    z: clampOffset(placement.z, position.z),
+    scale: THREE.MathUtils.clamp(placement.scale, minScale, maxScale),
+    rotation
+  };
+}
+
+// Move, scale and turn a scene's group to a placement
+export function applyPlacement(group, placement) {
+  group.position.set(placement.x, placement.y, placement.z);
+  group.scale.setScalar(placement.scale);
+  group.rotation.set(0, placement.rotation, 0);
+}
+
+// The placement a scene starts with: its last adjustment when the scene
+// remembers it, otherwise its default
+export function loadPlacement(manifest, definition) {
+  const settings = definition.placement;
+  const saved = settings.remember && loadSavedPlacements()[getPlacementKey(manifest, definition)];
+
+  return saved
+    ? clampPlacement({ ...getDefaultPlacement(definition), ...saved }, settings)
+    : getDefaultPlacement(definition);
+}
+
+// Let the scene on the tracked poster be adjusted with gestures in the
+// experience's container: drag with one finger to move it across the poster,
+// pinch to scale it and twist two fingers to turn it. Double-tap puts it back.
+// Each runtime needs group (the object adjusted) and placement (its current placement).
+//
+// Returns { reset(runtime), dispose() }.
+export function createPlacementGestures(experience) {
+  const { container } = experience;
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const plane = new THREE.Plane();
+  const normal = new THREE.Vector3();
+  const origin = new THREE.Vector3();
+
+  const pointers = new Map(); // Screen position of each finger down, by pointer id
+  let gesture = null; // What the current gesture started from
+  let lastTap = null;
+
+  // Keep the browser from scrolling or zooming the page instead
+  const previousTouchAction = container.style.touchAction;
+  container.style.touchAction = 'none';
+
+  // The scene being adjusted: the first one on screen that allows gestures
+  const getActiveRuntime = () => experience.runtimes.find(runtime =>
+    runtime.group && runtime.definition.placement.gestures && runtime.anchor && runtime.anchor.group.visible);
+
+  // Where a point on the screen falls on the poster, in the anchor's space
+  const getPosterPoint = (runtime, { x, y }) => {
+    const canvas = experience.renderer && experience.renderer.domElement;
+    if (!canvas || !toPointer(canvas, x, y, pointer)) return null;
+
+    const anchor = runtime.group.parent;
+    anchor.updateWorldMatrix(true, false);
+    normal.set(0, 0, 1).transformDirection(anchor.matrixWorld);
+    origin.setFromMatrixPosition(anchor.matrixWorld);
+    plane.setFromNormalAndCoplanarPoint(normal, origin);
+
+    raycaster.setFromCamera(pointer, experience.camera);
+    const point = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    return point && anchor.worldToLocal(point);
+  };
+
+  // Start a drag or pinch from the fingers down now
+  const beginGesture = () => {
+    const runtime = getActiveRuntime();
+    const fingers = [...pointers.values()];
+    if (!runtime || fingers.length === 0 || fingers.length > 2) {
+      gesture = null;
+      return;
+    }
+
+    gesture = { runtime, start: { ...runtime.placement }, changed: gesture ? gesture.changed : false };
+
+    if (fingers.length === 1) {
+      gesture.point = getPosterPoint(runtime, fingers[0]);
+    } else {
+      const [a, b] = fingers;
+      gesture.distance = Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1);
+      gesture.angle = Math.atan2(b.y - a.y, b.x - a.x);
+    }
+  };
+
+  const updateGesture = () => {
+    const { runtime, start } = gesture;
+    const fingers = [...pointers.values()];
+    const next = { ...start };
+
+    if (fingers.length === 1) {
+      const point = gesture.point && getPosterPoint(runtime, fingers[0]);
+      if (!point) return;
+
+      next.x = start.x + point.x - gesture.point.x;
+      next.y = start.y + point.y - gesture.point.y;
+    } else {
+      const [a, b] = fingers;
+      const canvas = experience.renderer.domElement;
+      const turn = Math.atan2(b.y - a.y, b.x - a.x) - gesture.angle;
+
+      next.scale = start.scale * Math.hypot(b.x - a.x, b.y - a.y) / gesture.distance;
+      next.rotation = start.rotation - turn * (isMirrored(canvas) ? -1 : 1);
+    }
+
+    runtime.placement = clampPlacement(next, runtime.definition.placement);
+    applyPlacement(runtime.group, runtime.placement);
+    gesture.changed = true;
+  };
+
+  // Keep the adjustment for the next visit
+  const save = runtime => {
+    if (!runtime.definition.placement.remember) return;
+
+    const placements = loadSavedPlacements();
+    placements[getPlacementKey(experience.manifest, runtime.definition)] = runtime.placement;
+    savePlacements(placements);
+  };
+
+  const handlePointerDown = event => {
+    // Presses on controls inside the container are theirs, not the scene's
+    if (pointers.size >= 2 || event.target.closest('button, a, input, select')) return;
+
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY });
+    beginGesture();
+  };
+
+  const handlePointerMove = event => {
+    const finger = pointers.get(event.pointerId);
+    if (!finger) return;
+
+    finger.x = event.clientX;
+    finger.y = event.clientY;
+    if (gesture) updateGesture();
+  };
+
+  const handlePointerUp = event => {
+    const finger = pointers.get(event.pointerId);
+    if (!finger) return;
+    pointers.delete(event.pointerId);
+
+    const finished = gesture;
+
+    // Carry on with the fingers still down, from where things are now
+    if (pointers.size > 0) {
+      beginGesture();
+      return;
+    }
+    gesture = null;
+
+    if (finished && finished.changed) {
+      save(finished.runtime);
+      lastTap = null;
+      return;
+    }
+
+    // A second tap close to the first puts the scene back
+    const now = performance.now();
+    const moved = Math.hypot(finger.x - finger.startX, finger.y - finger.startY);
+    if (event.type !== 'pointerup' || moved > TAP_DISTANCE) return;
+
+    if (lastTap && now - lastTap.time < DOUBLE_TAP_TIME &&
+      Math.hypot(finger.x - lastTap.x, finger.y - lastTap.y) < DOUBLE_TAP_DISTANCE) {
+      lastTap = null;
+      const runtime = getActiveRuntime();
+      if (runtime) controls.reset(runtime);
+    } else {
+      lastTap = { x: finger.x, y: finger.y, time: now };
+    }
+  };
+
+  container.addEventListener('pointerdown', handlePointerDown);
+  container.addEventListener('pointermove', handlePointerMove);
+  container.addEventListener('pointerup', handlePointerUp);
+  container.addEventListener('pointercancel', handlePointerUp);
+
+  const controls = {
+    // Put a scene back to its default placement and forget its adjustment
+    reset(runtime) {
+      runtime.placement = getDefaultPlacement(runtime.definition);
+      applyPlacement(runtime.group, runtime.placement);
+
+      const placements = loadSavedPlacements();
+      delete placements[getPlacementKey(experience.manifest, runtime.definition)];
+      savePlacements(placements);
+    },
+
+    dispose() {
+      container.removeEventListener('pointerdown', handlePointerDown);
+      container.removeEventListener('pointermove', handlePointerMove);
+      container.removeEventListener('pointerup', handlePointerUp);
+      container.removeEventListener('pointercancel', handlePointerUp);
+      container.style.touchAction = previousTouchAction;
+      pointers.clear();
+      gesture = null;
+    }
+  };
+
+  return controls;
+}
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { easeOutBack, easeOutCubic } from './easing.js';
+
+// Effects that need the model's materials changed, by the mode the shader uses
+const SHADER_MODES = { dissolve: 1, hologram: 2, rise: 3 };
+
+// How far below its place a model starts a rise, as a share of its height
+const RISE_DISTANCE = 1.0;
+
+// Edge glow and hologram color when a transition does not set one
+const DEFAULT_COLOR = '#66ccff';
+
+// Declarations added to the top of both shaders
+const REVEAL_COMMON = `
+  uniform float revealMode;
+  uniform float revealProgress;
+  uniform float revealTime;
+  uniform vec3 revealColor;
+  uniform mat4 revealWorldToModel;
+  uniform vec2 revealRange;
+  varying vec3 vRevealPosition;
+`;
+
+// Position in the model's own space at rest. Uses the skinned and morphed
+// position, so animated meshes dissolve where they are drawn.
+const REVEAL_VERTEX = `
+  #include <project_vertex>
+  vRevealPosition = (revealWorldToModel * modelMatrix * vec4(transformed, 1.0)).xyz;
+`;
+
+const REVEAL_FRAGMENT_FUNCTIONS = `
+  float revealHash(vec3 p) {
+    return fract(sin(dot(p, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+  }
+
+  float revealNoise(vec3 p) {
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+
+    return mix(
+      mix(mix(revealHash(i), revealHash(i + vec3(1, 0, 0)), f.x),
+          mix(revealHash(i + vec3(0, 1, 0)), revealHash(i + vec3(1, 1, 0)), f.x), f.y),
+      mix(mix(revealHash(i + vec3(0, 0, 1)), revealHash(i + vec3(1, 0, 1)), f.x),
+          mix(revealHash(i + vec3(0, 1, 1)), revealHash(i + vec3(1, 1, 1)), f.x), f.y),
+      f.z);
+  }
+`;
+
+// Discards the parts not yet revealed, before any lighting is worked out
+const REVEAL_FRAGMENT_CLIP = `
+  #include <clipping_planes_fragment>
+
+  vec3 revealGlow = vec3(0.0);
+  float revealTint = 0.0;
+
+  if (revealMode > 0.5) {
+    float revealSize = max(revealRange.y - revealRange.x, 0.0001);
+    float revealHeight = (vRevealPosition.y - revealRange.x) / revealSize;
+
+    if (revealMode < 1.5) {
+      // Dissolve: noise below the threshold is shown, with a glowing edge
+      float noise = revealNoise(vRevealPosition * 6.0 / revealSize);
+      float threshold = revealProgress * 1.15;
+      if (noise > threshold) discard;
+      revealGlow = revealColor * 3.0 * smoothstep(threshold - 0.12, threshold, noise) * (1.0 - step(1.0, revealProgress));
+    } else if (revealMode < 2.5) {
+      // Hologram: built up from the bottom in scanlines, tinted until complete
+      float front = revealProgress * 1.1;
+      if (revealHeight > front) discard;
+
+      revealTint = 1.0 - revealProgress;
+      float scanline = fract(revealHeight * 60.0 - revealTime * 1.5);
+      if (scanline < 0.35 * revealTint) discard;
+
+      revealGlow = revealColor * 2.0 * smoothstep(front - 0.04, front, revealHeight);
+    } else if (revealHeight < 0.0) {
+      // Rise: nothing shows below the floor the model rises through
+      discard;
+    }
+  }
+`;
+
+const REVEAL_FRAGMENT_OUTPUT = `
+  #include <dithering_fragment>
+  gl_FragColor.rgb = mix(gl_FragColor.rgb, revealColor, revealTint * 0.6) + revealGlow;
+`;
+
+// Add the reveal shader code to a material, sharing the given uniforms.
+// Returns a function that takes it out again.
+function addRevealShader(material, uniforms) {
+  const previousOnBeforeCompile = material.onBeforeCompile;
+  const previousCacheKey = material.customProgramCacheKey;
+
+  material.onBeforeCompile = (shader, renderer) => {
+    if (previousOnBeforeCompile) previousOnBeforeCompile.call(material, shader, renderer);
+
+    // Leave materials without the usual chunks, such as custom shaders, alone
+    if (!shader.vertexShader.includes('#include <project_vertex>') ||
+      !shader.fragmentShader.includes('#include <clipping_planes_fragment>') ||
+      !shader.fragmentShader.includes('#include <dithering_fragment>')) {
+      return;
+    }
+
+    Object.assign(shader.uniforms, uniforms);
+
+    shader.vertexShader = REVEAL_COMMON + shader.vertexShader
+      .replace('#include <project_vertex>', REVEAL_VERTEX);
+
+    shader.fragmentShader = REVEAL_COMMON + REVEAL_FRAGMENT_FUNCTIONS + shader.fragmentShader
+      .replace('#include <clipping_planes_fragment>', REVEAL_FRAGMENT_CLIP)
+      .replace('#include <dithering_fragment>', REVEAL_FRAGMENT_OUTPUT);
+  };
+
+  // Keep these programs apart from the same material types without the effect
+  material.customProgramCacheKey = () => 'reveal';
+  material.needsUpdate = true;
+
+  return () => {
+    material.onBeforeCompile = previousOnBeforeCompile;
+    material.customProgramCacheKey = previousCacheKey;
+    material.needsUpdate = true;
+  };
+}
+
+// Create the reveal and hide effects for a loaded model. types lists every
+// effect it will use - 'dissolve', 'rise', 'scale' or 'hologram' - so the
+// shader effects can be added to its materials up front. Materials shared by
+// several meshes of the model are changed once.
+//
+// Returns { set(transition, progress, hiding), reset(), update(delta), dispose() }.
+export function createRevealEffect(object, types = []) {
+  const restPosition = object.position.clone();
+  const restScale = object.scale.clone();
+
+  // Height range of the model in its own space
+  object.updateWorldMatrix(true, true);
+  const toModel = object.matrixWorld.clone().invert();
+  const bounds = new THREE.Box3().setFromObject(object).applyMatrix4(toModel);
+
+  const uniforms = {
+    revealMode: { value: 0 },
+    revealProgress: { value: 1 },
+    revealTime: { value: 0 },
+    revealColor: { value: new THREE.Color(DEFAULT_COLOR) },
+    revealWorldToModel: { value: new THREE.Matrix4() },
+    revealRange: { value: new THREE.Vector2(bounds.min.y, bounds.max.y) }
+  };
+
+  // Functions that restore each changed material, by material
+  const materials = new Map();
+  if (types.some(type => SHADER_MODES[type])) {
+    object.traverse(child => {
+      if (!child.isMesh) return;
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+        if (!materials.has(material)) {
+          materials.set(material, addRevealShader(material, uniforms));
+        }
+      });
+    });
+  }
+
+  // Where the model sits at rest, so effects that move it keep measuring from there
+  const restMatrix = new THREE.Matrix4();
+  let active = false;
+
+  const effect = {
+    // Show the model part way through a transition { type, color }: a reveal
+    // (progress 0 to 1), or a hide when hiding is true (progress 1 back to 0)
+    set(transition, progress, hiding = false) {
+      const type = transition ? transition.type : null;
+      const eased = easeOutCubic(progress);
+      active = progress < 1;
+
+      uniforms.revealMode.value = active && materials.size > 0 ? (SHADER_MODES[type] || 0) : 0;
+      uniforms.revealProgress.value = progress;
+      uniforms.revealColor.value.set((transition && transition.color) || DEFAULT_COLOR);
+
+      object.position.copy(restPosition);
+      object.scale.copy(restScale);
+
+      if (type === 'rise') {
+        // Sinks back into the floor when hiding
+        const height = (bounds.max.y - bounds.min.y) * restScale.y;
+        object.position.y -= (1 - eased) * height * RISE_DISTANCE;
+      } else if (type === 'scale') {
+        const amount = hiding ? eased : easeOutBack(progress);
+        object.scale.multiplyScalar(Math.max(amount, 0.001));
+      }
+
+      effect.update(0);
+    },
+
+    // Back to fully shown, at rest
+    reset() {
+      effect.set(null, 1);
+    },
+
+    // Advance the scanlines and follow the scene as the tracker moves it
+    update(delta) {
+      if (!active || uniforms.revealMode.value === 0) return;
+
+      uniforms.revealTime.value += delta;
+
+      restMatrix.compose(restPosition, object.quaternion, restScale);
+      if (object.parent) {
+        object.parent.updateWorldMatrix(true, false);
+        restMatrix.premultiply(object.parent.matrixWorld);
+      }
+      uniforms.revealWorldToModel.value.copy(restMatrix).invert();
+    },
+
+    // Take the effect out of the materials, leaving the model at rest
+    dispose() {
+      effect.reset();
+      materials.forEach(restore => restore());
+      materials.clear();
+    }
+  };
+
+  return effect;
+}
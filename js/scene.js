@@ -0,0 +1,579 @@
+import { createTimeline } from './timeline.js';
+import { createSceneAudio, createPositionalTrack } from './audio.js';
+import { createSpotlight } from './effects.js';
+import { createRevealEffect } from './reveal.js';
+import { createParticleSystem } from './particles.js';
+import { createTextPanels, createErrorPanel, createCaptionPanel } from './ui.js';
+import { loadCaptions, getCaptionAt } from './captions.js';
+import { t } from './locales.js';
+
+// Find the spotlight configured for a model, if any
+function getSpotlightConfig(definition, modelId) {
+  return definition.spotlights.find(spotlight => spotlight.model === modelId) || null;
+}
+
+// Get the delay before a model's spotlight turns on
+function getSpotlightDelay(spotlightConfig, modelConfig, preview = false) {
+  const delay = spotlightConfig.delay !== undefined ? spotlightConfig.delay : modelConfig.delay;
+  return preview && spotlightConfig.previewDelay !== undefined ? spotlightConfig.previewDelay : delay;
+}
+
+// Load a scene definition's text panels, models and spotlights into a parent object
+export async function loadSceneContent(experience, definition, parent, preview = false) {
+  const { models } = experience;
+
+  // Create the text panels from the scene definition
+  const textPanels = createTextPanels(definition, preview);
+
+  textPanels.forEach(({ textBox }) => {
+    parent.add(textBox);
+  });
+
+  // Create an array to store spotlights
+  const spotlights = [];
+
+  // Keys of the models this scene owns in the model manager
+  const modelKeys = [];
+
+  // The scene's music, stems and model sounds
+  const audio = createSceneAudio(
+    definition.audio,
+    definition.audio.stems,
+    experience.audioContext,
+    experience.audioOutput.gainNode
+  );
+
+  // Ids of the sounds started as each model is revealed, by model key
+  const modelSounds = {};
+
+  // Reveal and hide effects of the models that have them, by model key
+  const modelEffects = {};
+
+  // Loaded models and spotlights by model id, for particles attached to them
+  const modelObjects = {};
+  const spotlightObjects = {};
+
+  // Load each enabled model
+  for (const config of definition.models) {
+    if (!config.enabled) {
+      continue;
+    }
+
+    try {
+      const model = await models.loadModel(config.path, {
+        key: `${definition.targetIndex}/${config.id}`,
+        id: config.id,
+        position: config.position,
+        scale: config.scale,
+        visible: false, // Revealed by the sequence
+        delay: config.delay,
+        hideAt: config.hideAt,
+        reveal: config.reveal,
+        hide: config.hide
+      });
+
+      if (model) {
+        parent.add(model.object);
+        modelKeys.push(model.options.key);
+        modelObjects[config.id] = model.object;
+
+        // Applied on top of the materials the model loaded with
+        const transitions = [config.reveal, config.hide].filter(Boolean);
+        if (transitions.length > 0) {
+          modelEffects[model.options.key] = createRevealEffect(
+            model.object,
+            transitions.map(transition => transition.type)
+          );
+        }
+
+        modelSounds[model.options.key] = [];
+
+        if (config.sfx) {
+          const id = `model:${config.id}`;
+          audio.addStem({ id, src: config.sfx, type: 'sfx', volume: 1.0, loop: false });
+          modelSounds[model.options.key].push(id);
+        }
+
+        // A sound that comes from the model itself and pans as the viewer moves
+        const listener = config.sound && experience.getAudioListener();
+        if (listener) {
+          const id = `model:${config.id}:sound`;
+          const track = createPositionalTrack(config.sound.src, listener, {
+            ...config.sound,
+            output: audio.buses.sfx,
+            space: parent
+          });
+          model.object.add(track.sound);
+          audio.addTrack(id, track);
+          modelSounds[model.options.key].push(id);
+        }
+
+        // Only models listed under spotlights get one
+        const spotlightConfig = getSpotlightConfig(definition, config.id);
+        if (!spotlightConfig) {
+          continue;
+        }
+
+        // Create a spotlight for this model
+        const spotlight = createSpotlight(config.position, spotlightConfig.scale, spotlightConfig);
+
+        parent.add(spotlight.object);
+        spotlightObjects[config.id] = spotlight.object;
+
+        // Store reference to the spotlight
+        spotlights.push({
+          spotlight,
+          delay: getSpotlightDelay(spotlightConfig, config, preview),
+          modelPath: config.path
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to load model ${config.path}:`, error);
+      experience.scene.add(createErrorPanel(t('errorModel', { path: config.path })));
+    }
+  }
+
+  // Particle systems, on the anchor or attached to a model or its spotlight
+  const particles = [];
+
+  definition.particles.forEach(config => {
+    const modelConfig = definition.models.find(model => model.id === (config.model || config.spotlight));
+    const target = config.model ? modelObjects[config.model] : spotlightObjects[config.spotlight];
+
+    // Nothing to attach to when the model is disabled or failed to load
+    if ((config.model || config.spotlight) && !target) return;
+
+    const system = createParticleSystem(config.preset, config);
+    const offset = config.position || { x: 0, y: 0, z: 0 };
+    system.object.position.set(offset.x, offset.y, offset.z);
+
+    // Spotlight particles sit in the beam's space; model particles follow the
+    // model around in the scene rather than taking on its scale
+    if (config.spotlight) {
+      target.add(system.object);
+    } else {
+      parent.add(system.object);
+    }
+
+    // Attached particles start and stop with their model by default
+    let startAt = config.startAt;
+    if (startAt === undefined && config.spotlight) {
+      startAt = getSpotlightDelay(getSpotlightConfig(definition, config.spotlight), modelConfig, preview);
+    } else if (startAt === undefined) {
+      startAt = modelConfig ? modelConfig.delay : 0;
+    }
+    const stopAt = config.stopAt !== undefined ? config.stopAt : (modelConfig && modelConfig.hideAt);
+
+    particles.push({
+      system,
+      id: config.id,
+      startAt,
+      stopAt,
+      follow: config.model ? target : null,
+      offset
+    });
+  });
+
+  // Captions for the voice-over, with an optional panel in the scene
+  let captions = [];
+  let captionPanel = null;
+  const captionConfig = definition.audio.captions;
+
+  if (captionConfig) {
+    try {
+      captions = await loadCaptions(captionConfig.src, experience.assets);
+    } catch (error) {
+      console.error(`Failed to load captions ${captionConfig.src}:`, error);
+    }
+
+    if (captionConfig.panel) {
+      const { position, previewPosition } = captionConfig.panel;
+      captionPanel = createCaptionPanel(preview && previewPosition ? previewPosition : position);
+      parent.add(captionPanel.object);
+    }
+  }
+
+  const runtime = {
+    definition,
+    models,
+    modelKeys,
+    modelEffects,
+    spotlights,
+    particles,
+    textPanels,
+    captionPanel,
+    modelSounds,
+    audio,
+    timeline: null,
+    lostFor: null, // Time (ms) since the target was lost while frozen, or null
+    held: null, // While paused by the viewer, whether the sequence was playing; null otherwise
+    anchor: null,
+    captions,
+    caption: '', // Caption text showing now
+
+    // Show a caption wherever captions are enabled, and pass it on for the overlay
+    showCaption(text) {
+      runtime.caption = text;
+
+      if (captionPanel) {
+        captionPanel.setText(experience.captionsEnabled ? text : '');
+      }
+
+      experience.onCaption(text, runtime.definition);
+    }
+  };
+
+  await runtime.audio.load(experience.assets);
+
+  runtime.timeline = buildSequence(runtime);
+  runtime.timeline.onEnd = () => experience.onSequenceEnd(runtime.definition);
+
+  return runtime;
+}
+
+// Switch a loaded scene to its definition in another locale: the text panels
+// and caption panel are redrawn, and if the locale has its own recordings the
+// sequence starts again with them from the top.
+export async function localizeScene(experience, runtime, definition) {
+  const previous = runtime.definition;
+  runtime.definition = definition;
+
+  runtime.textPanels.forEach(({ textBox, id }) => {
+    const panel = definition.textPanels.find(textPanel => textPanel.id === id);
+    textBox.userData.setText(panel.lines);
+  });
+
+  const previousCaptions = previous.audio.captions && previous.audio.captions.src;
+  const captionsSrc = definition.audio.captions && definition.audio.captions.src;
+  const audioChanged = runtime.audio.setSources(definition.audio);
+
+  if (captionsSrc !== previousCaptions) {
+    try {
+      runtime.captions = await loadCaptions(captionsSrc, experience.assets);
+    } catch (error) {
+      console.error(`Failed to load captions ${captionsSrc}:`, error);
+      runtime.captions = [];
+    }
+  }
+
+  // Redraw the current caption in the new script's font
+  runtime.showCaption(runtime.caption);
+
+  if (!audioChanged) return;
+
+  const wasPlaying = runtime.timeline.playing;
+  runtime.timeline.stop();
+  runtime.audio.stop();
+  runtime.lostFor = null;
+
+  await runtime.audio.load(experience.assets);
+
+  // Another switch may have happened while this one was loading
+  if (runtime.definition !== definition) return;
+
+  if (wasPlaying) {
+    startSceneSequence(runtime);
+  }
+}
+
+// Build the reveal sequence for a loaded scene's models, spotlights and text panels
+function buildSequence(runtime) {
+  const { definition, models, modelKeys, modelEffects, modelSounds, spotlights, particles, textPanels, audio } = runtime;
+  const sequence = createTimeline({ duration: definition.cycleLength, loop: true });
+
+  sequence.onReset = () => {
+    models.resetModels(modelKeys);
+
+    Object.values(modelEffects).forEach(effect => {
+      effect.reset();
+    });
+
+    spotlights.forEach(({ spotlight }) => {
+      spotlight.setLevel(0);
+    });
+
+    particles.forEach(({ system }) => {
+      system.reset();
+    });
+
+    textPanels.forEach(({ textBox }) => {
+      textBox.visible = false;
+      textBox.userData.setTransition(null, 1);
+    });
+  };
+
+  // Start the music bed at the top of each cycle - added first so stems cued at 0 play after it
+  sequence.at(0, elapsed => {
+    audio.play(elapsed / 1000);
+  });
+
+  // Text panels in and out, with their transitions
+  textPanels.forEach(({ textBox, showAt, hideAt, enter, exit }) => {
+    sequence.at(showAt, () => {
+      textBox.visible = true;
+    });
+
+    if (enter) {
+      sequence.span(showAt, enter.duration, progress => {
+        textBox.userData.setTransition(enter.type, progress);
+      });
+    }
+
+    if (hideAt === undefined) return;
+
+    if (exit) {
+      sequence.span(hideAt, exit.duration, progress => {
+        textBox.userData.setTransition(exit.type, 1 - progress, true);
+      });
+    }
+
+    sequence.at(hideAt + (exit ? exit.duration : 0), () => {
+      textBox.visible = false;
+    });
+  });
+
+  // Reveal each model at its delay, with its sound effect, and hide it at hideAt
+  modelKeys.forEach(key => {
+    const { delay, hideAt, reveal, hide } = models.models[key].options;
+    const effect = modelEffects[key];
+
+    sequence.at(delay, elapsed => {
+      models.showModel(key, elapsed / 1000);
+
+      modelSounds[key].forEach(id => {
+        audio.playStem(id, elapsed / 1000);
+      });
+    });
+
+    if (reveal) {
+      sequence.span(delay, reveal.duration, progress => {
+        effect.set(reveal, progress);
+      });
+    }
+
+    if (hideAt === undefined) return;
+
+    if (hide) {
+      sequence.span(hideAt, hide.duration, progress => {
+        effect.set(hide, 1 - progress, true);
+      });
+    }
+
+    sequence.at(hideAt + (hide ? hide.duration : 0), () => {
+      models.hideModel(key);
+      if (effect) effect.reset();
+    });
+  });
+
+  // Turn on spotlights
+  spotlights.forEach(({ spotlight, delay }) => {
+    sequence.span(delay, spotlight.duration, progress => {
+      spotlight.turnOn(progress);
+    });
+  });
+
+  // Particles start and stop emitting
+  particles.forEach(({ system, startAt, stopAt }) => {
+    sequence.at(startAt, () => {
+      system.start();
+    });
+
+    if (stopAt !== undefined) {
+      sequence.at(stopAt, () => {
+        system.stop();
+      });
+    }
+  });
+
+  // Voice-over and other stems at their cue times
+  definition.audio.stems.forEach(stem => {
+    sequence.at(stem.at, elapsed => {
+      audio.playStem(stem.id, elapsed / 1000);
+    });
+  });
+
+  // A looping music bed plays straight through; otherwise fade out as the cycle ends
+  const { fadeOutDuration, loop } = definition.audio;
+  if (!loop) {
+    const fadeStart = definition.cycleLength - fadeOutDuration;
+    sequence.at(fadeStart, elapsed => {
+      audio.fadeTo(0, fadeOutDuration - elapsed);
+    });
+  }
+
+  return sequence;
+}
+
+// Start a scene's sequence from the top
+export function startSceneSequence(runtime) {
+  runtime.lostFor = null;
+  if (runtime.timeline.playing) {
+    return;
+  }
+
+  runtime.timeline.seek(0);
+  runtime.timeline.play();
+}
+
+// Stop a scene's sequence, fading out its audio and rewinding to the start
+export function stopSceneSequence(runtime) {
+  const wasActive = runtime.timeline.playing || runtime.lostFor !== null || runtime.held !== null;
+  const wasHeld = runtime.held !== null;
+  runtime.lostFor = null;
+  runtime.held = null;
+  if (!wasActive) return;
+
+  // Fade out audio rather than cutting it off, unless it is paused anyway
+  if (wasHeld) {
+    runtime.audio.stop();
+  } else {
+    runtime.audio.fadeOut(runtime.definition.audio.fadeOutDuration);
+  }
+
+  // Hide everything and rewind to the start
+  runtime.timeline.stop();
+}
+
+// Play a scene's sequence again from the top, if it is playing now
+export function restartSceneSequence(runtime) {
+  if (!runtime.timeline.playing) return;
+
+  runtime.audio.stop();
+  runtime.timeline.stop();
+  startSceneSequence(runtime);
+}
+
+// Hold a scene where it is when the viewer pauses: the sequence, audio,
+// animations and the countdown to resetting a lost target all stop
+export function pauseScene(runtime) {
+  if (runtime.held !== null) return;
+
+  runtime.held = runtime.timeline.playing;
+  if (runtime.held) {
+    runtime.timeline.pause();
+  }
+
+  // The soundtrack also plays on, ducked, under a sequence frozen by a lost target
+  if (runtime.held || runtime.lostFor !== null) {
+    runtime.audio.pause();
+  }
+}
+
+// Carry on after pauseScene()
+export function resumeScene(runtime) {
+  if (runtime.held === null) return;
+
+  const wasPlaying = runtime.held;
+  runtime.held = null;
+  if (wasPlaying) {
+    runtime.timeline.play();
+  }
+
+  if (wasPlaying || runtime.lostFor !== null) {
+    runtime.audio.resume();
+  }
+}
+
+// Free everything loadSceneContent() made for a scene apart from its models,
+// which belong to the experience's model manager
+export function disposeScene(runtime) {
+  runtime.timeline.stop();
+  runtime.audio.dispose();
+  runtime.textPanels.forEach(({ textBox }) => textBox.userData.dispose());
+  runtime.spotlights.forEach(({ spotlight }) => spotlight.dispose());
+  Object.values(runtime.modelEffects).forEach(effect => effect.dispose());
+  runtime.particles.forEach(({ system }) => system.dispose());
+  if (runtime.captionPanel) runtime.captionPanel.dispose();
+  runtime.held = null;
+}
+
+// Freeze a scene's sequence where it is. The audio carries on ducked, and
+// goes back to the frozen point if the target returns in time.
+function freezeSceneSequence(runtime) {
+  if (!runtime.timeline.playing) return;
+
+  runtime.audio.setDuck(runtime.definition.tracking.duckVolume, true);
+  runtime.audio.mark();
+  runtime.lostFor = 0;
+  runtime.timeline.pause();
+}
+
+// React to a scene's target being found
+export function handleTargetFound(experience, runtime) {
+  // Tracking is ignored while the viewer has paused
+  if (runtime.held !== null) return;
+
+  // In exclusive mode only the most recently found target plays
+  if (experience.manifest.playback === 'exclusive') {
+    experience.runtimes.forEach(other => {
+      if (other !== runtime) {
+        stopSceneSequence(other);
+      }
+    });
+  }
+
+  // Back within the resume window - carry on from the frozen point
+  if (runtime.lostFor !== null && runtime.lostFor <= runtime.definition.tracking.resumeWindow) {
+    runtime.lostFor = null;
+    runtime.audio.returnToMark();
+    runtime.audio.setDuck(1.0);
+    runtime.timeline.play();
+  } else {
+    startSceneSequence(runtime);
+  }
+
+  experience.onTargetFound(runtime.definition);
+}
+
+// React to a scene's target being lost
+export function handleTargetLost(experience, runtime) {
+  if (runtime.held !== null) return;
+
+  if (runtime.definition.tracking.onLost === 'resume') {
+    freezeSceneSequence(runtime);
+  } else {
+    stopSceneSequence(runtime);
+  }
+
+  experience.onTargetLost(runtime.definition);
+}
+
+// Advance a scene by the render clock delta (seconds)
+export function updateScene(runtime, delta) {
+  runtime.timeline.update(delta);
+
+  // Reset a frozen sequence once the target has been gone long enough
+  if (runtime.lostFor !== null && runtime.held === null) {
+    runtime.lostFor += delta * 1000;
+
+    if (runtime.lostFor >= runtime.definition.tracking.resetAfter) {
+      runtime.lostFor = null;
+      runtime.audio.stop();
+      runtime.timeline.stop();
+    }
+  }
+
+  // Captions follow the sequence, and stay up while it is frozen or paused
+  const active = runtime.timeline.playing || runtime.lostFor !== null || runtime.held === true;
+  const caption = active ? getCaptionAt(runtime.captions, runtime.timeline.time) : '';
+  if (caption !== runtime.caption) {
+    runtime.showCaption(caption);
+  }
+
+  // Keep positional sounds' distances in step with the tracked scale
+  runtime.audio.update();
+
+  // Animations, reveal effects, spotlight dust and particles freeze along with the sequence
+  const frameDelta = runtime.timeline.playing ? delta : 0;
+  runtime.models.updateAnimations(frameDelta, runtime.modelKeys);
+  Object.values(runtime.modelEffects).forEach(effect => effect.update(frameDelta));
+  runtime.spotlights.forEach(({ spotlight }) => spotlight.update(frameDelta));
+
+  runtime.particles.forEach(({ system, follow, offset }) => {
+    if (follow) {
+      const { x, y, z } = follow.position;
+      system.object.position.set(x + offset.x, y + offset.y, z + offset.z);
+    }
+    system.update(frameDelta);
+  });
+}
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { loadSceneContent, startSceneSequence, updateScene } from './scene.js';
+import { t } from './locales.js';
+
+// Camera position the reset button returns to - close to the AR view
+const DEFAULT_CAMERA_POSITION = new THREE.Vector3(0, 0, 3);
+
+// Initialize a Three.js scene for test mode inside the experience's container,
+// viewed with orbit controls instead of a tracked target
+export function initTestScene(experience) {
+  const { container } = experience;
+  if (!container) {
+    console.error('AR container element not found!');
+    return null;
+  }
+
+  const width = container.clientWidth || window.innerWidth;
+  const height = container.clientHeight || window.innerHeight;
+
+  // Create scene, camera, and renderer
+  const scene = new THREE.Scene();
+  // Set black background
+  scene.background = new THREE.Color(0x000000);
+
+  const camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
+
+  const renderer = new THREE.WebGLRenderer({
+    antialias: true,
+    alpha: true, // Enable transparency
+    logarithmicDepthBuffer: true // Help with z-fighting issues
+  });
+  renderer.setSize(width, height);
+  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.setClearColor(0x000000, 0); // Set clear color with 0 alpha (fully transparent)
+  renderer.sortObjects = true; // Enable manual sorting of transparent objects
+
+  container.appendChild(renderer.domElement);
+
+  // Add lighting
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
+  directionalLight.position.set(1, 2, 3);
+  scene.add(directionalLight);
+
+  const ambientLight = new THREE.AmbientLight(0xffffff, 1.0);
+  scene.add(ambientLight);
+
+  // Position camera
+  camera.position.copy(DEFAULT_CAMERA_POSITION);
+
+  // Add orbit controls for test mode
+  const orbitControls = new OrbitControls(camera, renderer.domElement);
+  orbitControls.enableDamping = true; // Add smooth damping effect
+  orbitControls.dampingFactor = 0.05;
+  orbitControls.screenSpacePanning = false;
+  orbitControls.minDistance = 1;
+  orbitControls.maxDistance = 15;
+  orbitControls.maxPolarAngle = Math.PI / 1.5; // Limit rotation to prevent going below the scene
+
+  // Create a reset camera button
+  const resetCameraButton = document.createElement('button');
+  resetCameraButton.textContent = t('resetCamera');
+  resetCameraButton.style.position = 'absolute';
+  resetCameraButton.style.bottom = '20px';
+  resetCameraButton.style.right = '20px';
+  resetCameraButton.style.zIndex = '1000';
+  resetCameraButton.style.padding = '10px 15px';
+  resetCameraButton.style.backgroundColor = '#007bff';
+  resetCameraButton.style.color = 'white';
+  resetCameraButton.style.border = 'none';
+  resetCameraButton.style.borderRadius = '5px';
+  resetCameraButton.style.cursor = 'pointer';
+  resetCameraButton.style.fontWeight = 'bold';
+  resetCameraButton.style.boxShadow = '0 2px 5px rgba(0,0,0,0.2)';
+
+  resetCameraButton.addEventListener('click', () => {
+    // Animate camera back to default position
+    const startPosition = camera.position.clone();
+    const startQuaternion = camera.quaternion.clone();
+    const endQuaternion = new THREE.Quaternion();
+    const duration = 1000; // 1 second
+    const startTime = Date.now();
+
+    function animateReset() {
+      const elapsed = Date.now() - startTime;
+      const progress = Math.min(elapsed / duration, 1);
+
+      // Use easing function for smooth animation
+      const easeProgress = 1 - Math.pow(1 - progress, 3); // Cubic ease out
+
+      // Interpolate position
+      camera.position.lerpVectors(startPosition, DEFAULT_CAMERA_POSITION, easeProgress);
+
+      // Interpolate rotation
+      THREE.Quaternion.slerp(startQuaternion, endQuaternion, camera.quaternion, easeProgress);
+
+      // Update orbit controls target
+      orbitControls.target.set(0, 0, 0);
+      orbitControls.update();
+
+      if (progress < 1) {
+        requestAnimationFrame(animateReset);
+      }
+    }
+
+    animateReset();
+  });
+
+  container.appendChild(resetCameraButton);
+
+  // Animation loop - stopped by the experience with setAnimationLoop(null)
+  renderer.setAnimationLoop(() => {
+    // Update orbit controls
+    orbitControls.update();
+
+    const delta = experience.clock.getDelta();
+    experience.runtimes.forEach(runtime => {
+      updateScene(runtime, delta);
+    });
+    experience.picker.update();
+
+    renderer.render(scene, camera);
+  });
+
+  return { scene, camera, renderer, orbitControls };
+}
+
+// Load test models with sequential delays
+export async function loadTestModels(experience) {
+  try {
+    // Test mode shows the first scene on its own
+    const runtime = await loadSceneContent(experience, experience.manifest.scenes[0], experience.scene, true);
+    experience.runtimes = [runtime];
+
+    // Start the sequence straight away; it loops every cycleLength
+    startSceneSequence(runtime);
+  } catch (error) {
+    console.error('Error loading test models:', error);
+  }
+}
@@ -0,0 +1,301 @@
+import * as THREE from 'three';
+
+// Characters of scripts written without spaces, which can wrap between any two
+const UNSPACED_CHARACTER = /[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/;
+
+// Words of spaced scripts, or single characters of unspaced ones
+const WORD = /[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]+/g;
+
+// Chinese punctuation that must not start a line
+const NO_BREAK_BEFORE = /[、，。！？；：）」』》]/;
+
+// Markup tags: <b>, <i>, <size=N>, <color=C> and their closing tags, and <br>
+const TAG = /<(\/?)(b|i|size|color|br)(?:=([^>]+))?\s*\/?>/g;
+
+// Largest canvas side, so very long copy on a high density screen stays within texture limits
+const MAX_CANVAS_SIZE = 4096;
+
+// Join lines into one paragraph - with spaces, unless they are Chinese
+export function joinLines(lines) {
+  return lines.join(UNSPACED_CHARACTER.test(lines.join('')) ? '' : ' ');
+}
+
+// Split marked-up text into runs of { text, style }, with '\n' runs for line breaks.
+// Unknown tags are left in the text as written.
+export function parseMarkup(text, baseStyle) {
+  const runs = [];
+  const stack = [baseStyle];
+  let lastIndex = 0;
+
+  const pushText = value => {
+    value.split('\n').forEach((part, index) => {
+      if (index > 0) runs.push({ text: '\n', style: stack[stack.length - 1] });
+      if (part) runs.push({ text: part, style: stack[stack.length - 1] });
+    });
+  };
+
+  text.replace(TAG, (match, closing, tag, value, offset) => {
+    pushText(text.slice(lastIndex, offset));
+    lastIndex = offset + match.length;
+
+    const style = stack[stack.length - 1];
+    if (tag === 'br') {
+      pushText('\n');
+    } else if (closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (tag === 'b') {
+      stack.push({ ...style, weight: 'bold' });
+    } else if (tag === 'i') {
+      stack.push({ ...style, italic: true });
+    } else if (tag === 'size') {
+      stack.push({ ...style, size: Number(value) || style.size });
+    } else {
+      stack.push({ ...style, color: value || style.color });
+    }
+    return match;
+  });
+
+  pushText(text.slice(lastIndex));
+  return runs;
+}
+
+// CSS font shorthand for a style, scaled
+function toFont(style, scale) {
+  return `${style.italic ? 'italic ' : ''}${style.weight || 'normal'} ${style.size * scale}px ${style.family}`;
+}
+
+// Lay runs out into lines no wider than maxWidth. Words wrap at spaces, Chinese
+// between characters. Returns { lines, width, height } where each line is
+// { words: [{ text, style, x, width }], width, height, ascent }.
+export function layoutText(context, runs, { maxWidth = Infinity, lineHeight = 1.2, scale = 1 } = {}) {
+  const lines = [];
+  let line = null;
+
+  const newLine = () => {
+    line = { words: [], width: 0, size: 0 };
+    lines.push(line);
+  };
+  newLine();
+
+  runs.forEach(run => {
+    if (run.text === '\n') {
+      if (line.size === 0) line.size = run.style.size * scale;
+      newLine();
+      return;
+    }
+
+    context.font = toFont(run.style, scale);
+    const spaceWidth = context.measureText(' ').width;
+    const startsWithSpace = /^\s/.test(run.text);
+
+    (run.text.match(WORD) || []).forEach((text, index) => {
+      const previous = line.words[line.words.length - 1];
+      const spaced = previous && !UNSPACED_CHARACTER.test(text) && !UNSPACED_CHARACTER.test(previous.text) &&
+        (index > 0 || startsWithSpace || previous.spaceAfter);
+      const gap = spaced ? spaceWidth : 0;
+      const width = context.measureText(text).width;
+
+      if (previous && !NO_BREAK_BEFORE.test(text) && line.width + gap + width > maxWidth) {
+        newLine();
+        line.words.push({ text, style: run.style, x: 0, width });
+        line.width = width;
+      } else {
+        line.words.push({ text, style: run.style, x: line.width + gap, width });
+        line.width += gap + width;
+      }
+      line.size = Math.max(line.size, run.style.size * scale);
+    });
+
+    // A run ending in a space is spaced from the next even if that starts with a word
+    const last = line.words[line.words.length - 1];
+    if (last) last.spaceAfter = /\s$/.test(run.text);
+  });
+
+  lines.forEach(entry => {
+    entry.height = entry.size * lineHeight;
+    entry.ascent = entry.size * 0.8 + (entry.height - entry.size) / 2;
+  });
+
+  return {
+    lines,
+    width: Math.max(0, ...lines.map(entry => entry.width)),
+    height: lines.reduce((total, entry) => total + entry.height, 0)
+  };
+}
+
+// Create a text panel: a plane in the scene showing text drawn onto a canvas.
+//
+// options.font         - font family (default Arial)
+// options.fontSize     - base size in canvas pixels (default 32)
+// options.color        - default text color (default '#222222')
+// options.align        - 'left', 'center' (default) or 'right'
+// options.lineHeight   - multiple of each line's largest font size (default 1.2)
+// options.padding      - space around the text in canvas pixels (default 24)
+// options.width        - fixed width in scene units; by default the panel fits its text
+// options.maxWidth     - widest the text may wrap to, in canvas pixels, when width is not set
+// options.pixelsPerUnit - canvas pixels per scene unit (default 400)
+// options.background   - CSS color filled behind the text, or null
+// options.markup       - parse <b>, <i>, <size=N>, <color=C> and <br> tags (default true)
+//
+// setText(lines) redraws it, taking each entry of lines as a paragraph. The
+// canvas is drawn at the screen's device pixel ratio and redrawn when that changes.
+export function createTextPanel(options = {}) {
+  const settings = {
+    font: 'Arial, sans-serif',
+    fontSize: 32,
+    color: '#222222',
+    align: 'center',
+    lineHeight: 1.2,
+    padding: 24,
+    width: null,
+    maxWidth: 960,
+    pixelsPerUnit: 400,
+    background: null,
+    markup: true,
+    ...options
+  };
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    transparent: true,
+    side: THREE.DoubleSide,
+    depthTest: false, // Always render on top of the models
+    depthWrite: false
+  });
+
+  const object = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+
+  let text = [];
+  let visibleLines = Infinity;
+  let mediaQuery = null;
+
+  const panel = {
+    object,
+    material,
+    settings,
+    width: 0, // Size of the plane in scene units
+    height: 0,
+    lineCount: 0, // Lines of text after wrapping
+
+    setText(lines) {
+      text = lines;
+      panel.render();
+    },
+
+    // Draw only the first count lines, keeping the panel's size
+    setVisibleLines(count) {
+      if (count === visibleLines) return;
+      visibleLines = count;
+      panel.render();
+    },
+
+    render() {
+      const baseStyle = { family: settings.font, size: settings.fontSize, color: settings.color };
+      const runs = text.flatMap((paragraph, index) => {
+        const parsed = settings.markup
+          ? parseMarkup(paragraph, baseStyle)
+          : [{ text: paragraph, style: baseStyle }];
+        return index > 0 ? [{ text: '\n', style: baseStyle }, ...parsed] : parsed;
+      });
+
+      const { padding, pixelsPerUnit } = settings;
+      const maxWidth = settings.width
+        ? settings.width * pixelsPerUnit - padding * 2
+        : settings.maxWidth;
+
+      // A word too long for the width shrinks everything until it fits
+      let scale = 1;
+      let layout = layoutText(context, runs, { maxWidth, lineHeight: settings.lineHeight });
+      for (let attempt = 0; attempt < 4 && layout.width > maxWidth; attempt++) {
+        scale *= maxWidth / layout.width;
+        layout = layoutText(context, runs, { maxWidth, lineHeight: settings.lineHeight, scale });
+      }
+
+      const width = Math.ceil(settings.width ? settings.width * pixelsPerUnit : layout.width + padding * 2);
+      const height = Math.ceil(layout.height + padding * 2);
+
+      // Draw at the screen's pixel density, within texture limits
+      const ratio = Math.min(window.devicePixelRatio || 1, MAX_CANVAS_SIZE / Math.max(width, height, 1));
+      const canvasWidth = Math.max(1, Math.round(width * ratio));
+      const canvasHeight = Math.max(1, Math.round(height * ratio));
+
+      if (canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+        canvas.width = canvasWidth;
+        canvas.height = canvasHeight;
+        texture.dispose(); // The GPU copy has the old size
+      }
+
+      context.setTransform(ratio, 0, 0, ratio, 0, 0);
+      context.clearRect(0, 0, width, height);
+
+      if (settings.background) {
+        context.fillStyle = settings.background;
+        context.fillRect(0, 0, width, height);
+      }
+
+      context.textBaseline = 'alphabetic';
+      context.textAlign = 'left';
+
+      let top = padding;
+      layout.lines.slice(0, visibleLines).forEach(line => {
+        let left = padding;
+        if (settings.align === 'center') left = (width - line.width) / 2;
+        if (settings.align === 'right') left = width - padding - line.width;
+
+        line.words.forEach(word => {
+          context.font = toFont(word.style, scale);
+          context.fillStyle = word.style.color;
+          context.fillText(word.text, left + word.x, top + line.ascent);
+        });
+
+        top += line.height;
+      });
+
+      texture.needsUpdate = true;
+
+      panel.lineCount = layout.lines.length;
+      panel.width = width / pixelsPerUnit;
+      panel.height = height / pixelsPerUnit;
+      object.scale.set(panel.width, panel.height, 1);
+
+      panel.watchPixelRatio();
+    },
+
+    // Redraw when the window moves to a screen with a different pixel density
+    watchPixelRatio() {
+      if (mediaQuery || typeof window.matchMedia !== 'function') return;
+
+      mediaQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+      mediaQuery.addEventListener('change', panel.handlePixelRatioChange);
+    },
+
+    handlePixelRatioChange() {
+      mediaQuery.removeEventListener('change', panel.handlePixelRatioChange);
+      mediaQuery = null;
+      panel.render();
+    },
+
+    // Change options such as the font, taking effect from the next setText() or render()
+    setOptions(values) {
+      Object.assign(settings, values);
+    },
+
+    dispose() {
+      if (mediaQuery) {
+        mediaQuery.removeEventListener('change', panel.handlePixelRatioChange);
+        mediaQuery = null;
+      }
+      object.geometry.dispose();
+      material.dispose();
+      texture.dispose();
+    }
+  };
+
+  return panel;
+}
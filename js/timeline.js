@@ -0,0 +1,109 @@
+// Create a timeline that fires cues as render-clock time passes.
+// Times are in milliseconds to match the scene manifest; update() takes the
+// clock delta in seconds like the animation mixers do.
+export function createTimeline({ duration, loop = true }) {
+  const cues = [];
+
+  const getSpanProgress = (cue, time) => {
+    if (cue.duration <= 0) return 1;
+    return Math.min(Math.max((time - cue.time) / cue.duration, 0), 1);
+  };
+
+  // Run every cue in the (from, to] window in time order
+  const fireCues = (from, to) => {
+    cues.forEach(cue => {
+      if (cue.duration === undefined) {
+        if (cue.time > from && cue.time <= to) {
+          cue.fn(to - cue.time);
+        }
+      } else if (cue.time <= to && cue.time + cue.duration > from) {
+        cue.fn(getSpanProgress(cue, to));
+      }
+    });
+  };
+
+  const addCue = (cue) => {
+    cues.push(cue);
+    // Stable sort keeps cues at the same time in the order they were added
+    cues.sort((a, b) => a.time - b.time);
+  };
+
+  return {
+    time: 0,
+    duration,
+    loop,
+    playing: false,
+
+    // Callbacks, set by the owner of the timeline
+    onReset: null, // Put the scene back to its state at time 0
+    onPlay: null,
+    onPause: null,
+    onEnd: null, // Called every time the end of the timeline is reached
+
+    // Call fn(elapsedMs) once when playback reaches the given time
+    at(time, fn) {
+      addCue({ time, fn });
+      return this;
+    },
+
+    // Call fn(progress) every frame while playback is within the span
+    span(time, spanDuration, fn) {
+      addCue({ time, duration: spanDuration, fn });
+      return this;
+    },
+
+    play() {
+      if (this.playing) return;
+      this.playing = true;
+      if (this.onPlay) this.onPlay();
+    },
+
+    pause() {
+      if (!this.playing) return;
+      this.playing = false;
+      if (this.onPause) this.onPause();
+    },
+
+    // Halt and reset to time 0 without firing any cues
+    stop() {
+      this.playing = false;
+      this.time = 0;
+      if (this.onReset) this.onReset();
+    },
+
+    // Jump to a time, rebuilding the scene state from the cues before it
+    seek(time) {
+      this.time = Math.min(Math.max(time, 0), this.duration);
+      if (this.onReset) this.onReset();
+
+      cues.forEach(cue => {
+        if (cue.time > this.time) return;
+        cue.fn(cue.duration === undefined ? this.time - cue.time : getSpanProgress(cue, this.time));
+      });
+    },
+
+    // Advance by the render clock delta (seconds)
+    update(delta) {
+      if (!this.playing || this.duration <= 0) return;
+
+      let target = this.time + delta * 1000;
+
+      while (target >= this.duration) {
+        fireCues(this.time, this.duration);
+        this.time = this.duration;
+        if (this.onEnd) this.onEnd();
+
+        if (!this.loop) {
+          this.playing = false;
+          return;
+        }
+
+        target -= this.duration;
+        this.seek(0);
+      }
+
+      fireCues(this.time, target);
+      this.time = target;
+    }
+  };
+}
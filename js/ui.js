@@ -0,0 +1,603 @@
+import * as THREE from 'three';
+import { LOCALES, getLocale, getFonts, t, onLocaleChange } from './locales.js';
+import { createTextPanel, joinLines } from './textPanel.js';
+import { easeOutBack, easeOutCubic } from './easing.js';
+
+// Layout of the two poster text box styles. Widths are in scene units and the
+// other sizes in canvas pixels; the headline's second line is set larger.
+const TEXT_BOX_STYLES = {
+  headline: { fontSize: 48, lineHeight: 1.25, padding: 32, width: 2.4, pixelsPerUnit: 1024 / 2.4 },
+  body: { fontSize: 32, lineHeight: 1.125, padding: 112, width: 3, pixelsPerUnit: 1024 / 3 }
+};
+
+// How far a slideUp transition moves a text box, in scene units
+const SLIDE_DISTANCE = 0.3;
+
+// Create the text panels described in a scene definition
+export function createTextPanels(definition, preview = false) {
+  return definition.textPanels.map(panel => ({
+    textBox: createTextBox(
+      panel.lines,
+      preview && panel.previewPosition ? panel.previewPosition : panel.position,
+      panel.style === 'headline',
+      {
+        align: panel.align,
+        lineHeight: panel.lineHeight,
+        padding: panel.padding,
+        fontSize: panel.fontSize,
+        color: panel.color,
+        width: panel.width
+      }
+    ),
+    id: panel.id,
+    showAt: panel.showAt,
+    hideAt: panel.hideAt,
+    enter: panel.enter,
+    exit: panel.exit
+  }));
+}
+
+// Create an error panel to show in the scene
+export function createErrorPanel(message) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 512;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.font = `24px ${getFonts().body}`;
+  ctx.fillStyle = 'white';
+  ctx.textAlign = 'center';
+  ctx.fillText(t('errorModelTitle'), canvas.width / 2, 100);
+  ctx.fillText(message, canvas.width / 2, 140);
+  ctx.fillText(t('errorModelDetail'), canvas.width / 2, 180);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const geometry = new THREE.PlaneGeometry(4, 2);
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    transparent: true
+  });
+
+  return new THREE.Mesh(geometry, material);
+}
+
+// Create a glowy text box. Each entry of text is a paragraph, which may use
+// <b>, <i>, <size=N> and <color=C> markup. options override the style's
+// align, lineHeight, padding, fontSize, color and width; the box grows to fit its text.
+export function createTextBox(text, position, isAbove = true, options = {}) {
+  const style = isAbove ? 'headline' : 'body';
+
+  // Unset options keep the style's defaults
+  const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const textPanel = createTextPanel({ ...TEXT_BOX_STYLES[style], ...overrides });
+
+  // Create a group to hold the background and the text
+  const textGroup = new THREE.Group();
+
+  const planeMaterial = new THREE.MeshStandardMaterial({
+    color: 0xdddddd,
+    transparent: true,
+    opacity: 0.4,
+    emissive: new THREE.Color(0xdddddd),
+    emissiveIntensity: 2,
+    side: THREE.DoubleSide,
+    depthTest: false, // Disable depth testing to always render on top
+    depthWrite: false // Don't write to depth buffer
+  });
+
+  const plane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), planeMaterial);
+  textGroup.add(plane);
+
+  textPanel.object.position.z = 0.01;
+  textGroup.add(textPanel.object);
+
+  // Position the text group
+  textGroup.position.set(position.x, position.y, position.z);
+  const restingPosition = textGroup.position.clone();
+
+  // Set a high renderOrder to ensure it renders on top of other objects
+  textGroup.renderOrder = 999;
+  plane.renderOrder = 999;
+  textPanel.object.renderOrder = 1000;
+
+  // Redraw with new copy, in the current locale's fonts, and fit the background to it
+  textGroup.userData.setText = lines => {
+    const fonts = getFonts();
+    const paragraphs = isAbove
+      ? lines.map((line, index) => (index === 1 ? `<size=${textPanel.settings.fontSize * 1.5}>${line}</size>` : line))
+      : [joinLines(lines)];
+
+    textPanel.setOptions({ font: isAbove ? fonts.headline : fonts.body });
+    textPanel.setText(paragraphs);
+    plane.scale.set(textPanel.width, textPanel.height, 1);
+  };
+
+  // Show the box part way through an enter or exit transition: progress runs
+  // from 0 (hidden) to 1 (shown). A null type puts it back at rest.
+  textGroup.userData.setTransition = (type, progress, exiting = false) => {
+    const eased = easeOutCubic(progress);
+    let opacity = 1;
+    let offset = 0;
+    let scale = 1;
+    let lines = Infinity;
+
+    if (type === 'fade') {
+      opacity = progress;
+    } else if (type === 'slideUp') {
+      // Slides up into place, and carries on up on the way out
+      opacity = eased;
+      offset = (1 - eased) * SLIDE_DISTANCE * (exiting ? 1 : -1);
+    } else if (type === 'pop') {
+      scale = exiting ? eased : easeOutBack(progress);
+      opacity = Math.min(progress * 2, 1);
+    } else if (type === 'typewriter' && progress < 1) {
+      lines = Math.ceil(progress * textPanel.lineCount);
+    }
+
+    planeMaterial.opacity = 0.4 * opacity;
+    textPanel.material.opacity = opacity;
+    textGroup.position.set(restingPosition.x, restingPosition.y + offset, restingPosition.z);
+    textGroup.scale.setScalar(Math.max(scale, 0.001));
+    textPanel.setVisibleLines(lines);
+  };
+
+  textGroup.userData.dispose = () => {
+    textPanel.dispose();
+    plane.geometry.dispose();
+    planeMaterial.dispose();
+  };
+
+  textGroup.userData.setText(text);
+
+  // Initially hide the text box
+  textGroup.visible = false;
+
+  return textGroup;
+}
+
+// Create an in-scene caption panel, sized to its text. setText() redraws it;
+// an empty string hides it.
+export function createCaptionPanel(position) {
+  const textPanel = createTextPanel({
+    fontSize: 36,
+    color: '#ffffff',
+    background: 'rgba(0, 0, 0, 0.7)',
+    lineHeight: 1.25,
+    padding: 16,
+    maxWidth: 944,
+    pixelsPerUnit: 1024 / 3,
+    markup: false // Caption text is plain, and may contain < and >
+  });
+
+  const { object } = textPanel;
+  object.position.set(position.x, position.y, position.z);
+  object.renderOrder = 1001;
+  object.visible = false;
+
+  return {
+    object,
+
+    setText(text) {
+      object.visible = text !== '';
+      if (!text) return;
+
+      textPanel.setOptions({ font: getFonts().body });
+      textPanel.setText(text.split('\n'));
+    },
+
+    dispose() {
+      textPanel.dispose();
+    }
+  };
+}
+
+// Format a byte count for the loading screen
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+// Show preload progress in a loading overlay. The root is the document or
+// a shadow root holding the .loading-* elements.
+export function renderLoadingProgress(root, { loaded, total, percent, assets }, maxRetries = 3) {
+  const loadingText = root.querySelector('.loading-text');
+  if (loadingText) {
+    loadingText.textContent = t('loadingPercent', { percent });
+  }
+
+  const progressBar = root.querySelector('.loading-progress-bar');
+  if (progressBar) {
+    progressBar.style.width = `${percent}%`;
+  }
+
+  const progressDetail = root.querySelector('.loading-detail');
+  if (progressDetail) {
+    progressDetail.textContent = t('loadingBytes', { loaded: formatBytes(loaded), total: formatBytes(total) });
+  }
+
+  const assetList = root.querySelector('.loading-assets');
+  if (assetList) {
+    assetList.innerHTML = '';
+    assets.forEach(asset => {
+      const item = document.createElement('li');
+      item.className = `loading-asset ${asset.status}`;
+
+      let status;
+      if (asset.status === 'loading') {
+        status = asset.total > 0 ? `${Math.floor(asset.loaded / asset.total * 100)}%` : formatBytes(asset.loaded);
+      } else if (asset.status === 'retrying') {
+        status = t('assetRetrying', { attempt: asset.attempts, attempts: maxRetries + 1 });
+      } else {
+        status = t(`asset${asset.status[0].toUpperCase()}${asset.status.slice(1)}`);
+      }
+
+      item.textContent = `${asset.label} - ${status}`;
+      assetList.appendChild(item);
+    });
+  }
+}
+
+// Add the sound controls overlay - mute, volume, and a prompt to tap when the
+// browser keeps audio blocked. Returns a function that removes it again.
+export function createAudioControls(parent, output, audioContext) {
+  const controls = document.createElement('div');
+  controls.className = 'audio-controls';
+
+  const muteButton = document.createElement('button');
+  muteButton.className = 'audio-mute';
+
+  const volumeSlider = document.createElement('input');
+  volumeSlider.className = 'audio-volume';
+  volumeSlider.type = 'range';
+  volumeSlider.min = '0';
+  volumeSlider.max = '1';
+  volumeSlider.step = '0.05';
+
+  const unlockButton = document.createElement('button');
+  unlockButton.className = 'audio-unlock hidden';
+
+  controls.append(muteButton, volumeSlider);
+  parent.append(controls, unlockButton);
+
+  const render = () => {
+    muteButton.textContent = output.muted ? t('unmute') : t('mute');
+    volumeSlider.setAttribute('aria-label', t('volume'));
+    unlockButton.textContent = t('enableSound');
+    muteButton.setAttribute('aria-pressed', String(output.muted));
+    volumeSlider.value = String(output.volume);
+    volumeSlider.disabled = output.muted;
+  };
+
+  // Browsers can keep the context suspended until the page itself is tapped
+  const updateUnlock = () => {
+    unlockButton.classList.toggle('hidden', !audioContext || audioContext.state === 'running');
+  };
+
+  muteButton.addEventListener('click', () => {
+    output.setMuted(!output.muted);
+    render();
+  });
+
+  volumeSlider.addEventListener('input', () => {
+    output.setVolume(Number(volumeSlider.value));
+  });
+
+  unlockButton.addEventListener('click', () => {
+    audioContext.resume().catch(error => {
+      console.error('Could not enable sound:', error);
+    });
+  });
+
+  if (audioContext) {
+    audioContext.addEventListener('statechange', updateUnlock);
+  }
+
+  render();
+  updateUnlock();
+  const removeLocaleListener = onLocaleChange(render);
+
+  return () => {
+    removeLocaleListener();
+    if (audioContext) {
+      audioContext.removeEventListener('statechange', updateUnlock);
+    }
+    controls.remove();
+    unlockButton.remove();
+  };
+}
+
+// Add the controls for the running experience: pause or resume it, replay
+// the scenes from the top, and exit. onExit() is called when Exit is pressed;
+// call update() when the experience's state changes. Returns { update, remove }.
+export function createSessionControls(parent, experience, onExit) {
+  const controls = document.createElement('div');
+  controls.className = 'session-controls';
+
+  const pauseButton = document.createElement('button');
+  pauseButton.className = 'session-pause';
+
+  const replayButton = document.createElement('button');
+  replayButton.className = 'session-replay';
+
+  const exitButton = document.createElement('button');
+  exitButton.className = 'session-exit';
+
+  controls.append(pauseButton, replayButton, exitButton);
+  parent.append(controls);
+
+  const render = () => {
+    const { state } = experience;
+    const paused = state === 'paused';
+    const active = paused || state === 'running';
+
+    pauseButton.textContent = paused ? t('resume') : t('pause');
+    pauseButton.setAttribute('aria-pressed', String(paused));
+    replayButton.textContent = t('replay');
+    exitButton.textContent = t('exit');
+    pauseButton.disabled = !active;
+    replayButton.disabled = !active;
+  };
+
+  pauseButton.addEventListener('click', () => {
+    if (experience.state === 'paused') {
+      experience.resume();
+    } else {
+      experience.pause();
+    }
+    render();
+  });
+
+  replayButton.addEventListener('click', () => {
+    experience.replay();
+    render();
+  });
+
+  exitButton.addEventListener('click', () => onExit());
+
+  render();
+  const removeLocaleListener = onLocaleChange(render);
+
+  return {
+    update: render,
+
+    remove() {
+      removeLocaleListener();
+      controls.remove();
+    }
+  };
+}
+
+// Format a time in ms as m:ss for the transcript
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Build the transcript of every loaded scene: its text panels, then its captions
+function renderTranscript(list, runtimes) {
+  list.innerHTML = '';
+
+  runtimes.forEach(({ definition, captions }) => {
+    const heading = document.createElement('h2');
+    heading.textContent = definition.name;
+    list.appendChild(heading);
+
+    definition.textPanels.forEach(panel => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = panel.lines.join(' ');
+      list.appendChild(paragraph);
+    });
+
+    captions.forEach(cue => {
+      const paragraph = document.createElement('p');
+      const time = document.createElement('time');
+      time.textContent = formatTime(cue.start);
+      paragraph.append(time, ` ${cue.text}`);
+      list.appendChild(paragraph);
+    });
+  });
+}
+
+// Add the captions overlay, a button to turn captions on and off, and a
+// transcript of the whole sequence. showCaption(text, definition) is called
+// as each scene's caption changes. Returns { showCaption, remove }.
+export function createCaptionControls(parent, experience) {
+  const captions = {}; // Current caption by target index
+
+  const overlay = document.createElement('div');
+  overlay.className = 'captions';
+  overlay.setAttribute('aria-live', 'polite');
+
+  const controls = document.createElement('div');
+  controls.className = 'caption-controls';
+
+  const toggleButton = document.createElement('button');
+  toggleButton.className = 'captions-toggle';
+  toggleButton.textContent = 'CC';
+
+  const transcriptButton = document.createElement('button');
+  transcriptButton.className = 'transcript-toggle';
+  transcriptButton.setAttribute('aria-expanded', 'false');
+
+  const transcript = document.createElement('section');
+  transcript.className = 'transcript hidden';
+  transcript.id = `transcript-${Math.random().toString(36).slice(2)}`;
+  transcriptButton.setAttribute('aria-controls', transcript.id);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'transcript-close';
+
+  const transcriptList = document.createElement('div');
+  transcript.append(closeButton, transcriptList);
+
+  controls.append(toggleButton, transcriptButton);
+  parent.append(overlay, controls, transcript);
+
+  const render = () => {
+    toggleButton.setAttribute('aria-label', t('captions'));
+    transcriptButton.textContent = t('transcript');
+    transcript.setAttribute('aria-label', t('transcript'));
+    closeButton.textContent = t('close');
+    toggleButton.setAttribute('aria-pressed', String(experience.captionsEnabled));
+    overlay.classList.toggle('hidden', !experience.captionsEnabled);
+    overlay.textContent = Object.values(captions).filter(Boolean).join('\n');
+  };
+
+  const setTranscriptOpen = open => {
+    if (open) {
+      renderTranscript(transcriptList, experience.runtimes);
+    }
+    transcript.classList.toggle('hidden', !open);
+    transcriptButton.setAttribute('aria-expanded', String(open));
+    (open ? closeButton : transcriptButton).focus();
+  };
+
+  toggleButton.addEventListener('click', () => {
+    experience.setCaptionsEnabled(!experience.captionsEnabled);
+    render();
+  });
+
+  transcriptButton.addEventListener('click', () => {
+    setTranscriptOpen(transcript.classList.contains('hidden'));
+  });
+
+  closeButton.addEventListener('click', () => setTranscriptOpen(false));
+
+  // Scene copy changes with the language too, so rebuild an open transcript
+  const removeLocaleListener = onLocaleChange(() => {
+    render();
+    if (!transcript.classList.contains('hidden')) {
+      renderTranscript(transcriptList, experience.runtimes);
+    }
+  });
+
+  render();
+
+  return {
+    showCaption(text, definition) {
+      captions[definition.targetIndex] = text;
+      render();
+    },
+
+    remove() {
+      removeLocaleListener();
+      overlay.remove();
+      controls.remove();
+      transcript.remove();
+    }
+  };
+}
+
+// Add the info card shown when a model is tapped: a sheet at the bottom of the
+// screen with a title, an image, text and a link. onClose() is called when its
+// close button is pressed or Escape is hit. Returns { show(info, imageUrl), hide(), remove() }.
+export function createInfoCard(parent, onClose) {
+  const card = document.createElement('section');
+  card.className = 'info-card hidden';
+  card.setAttribute('role', 'dialog');
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'info-card-close';
+
+  const title = document.createElement('h2');
+  title.id = `info-card-${Math.random().toString(36).slice(2)}`;
+  card.setAttribute('aria-labelledby', title.id);
+
+  const image = document.createElement('img');
+  image.alt = '';
+
+  const text = document.createElement('p');
+
+  const link = document.createElement('a');
+  link.target = '_blank';
+  link.rel = 'noopener';
+
+  card.append(closeButton, title, image, text, link);
+  parent.appendChild(card);
+
+  let current = null; // Info being shown, to redraw the link label on a language change
+
+  const render = () => {
+    closeButton.textContent = t('close');
+    if (current) {
+      link.textContent = current.linkLabel || t('infoLink');
+    }
+  };
+
+  closeButton.addEventListener('click', () => onClose());
+  card.addEventListener('keydown', event => {
+    if (event.key === 'Escape') onClose();
+  });
+
+  const removeLocaleListener = onLocaleChange(render);
+
+  const infoCard = {
+    // Show a model's info. imageUrl is where to load the image from, such as a preloaded copy.
+    show(info, imageUrl = info.image) {
+      const wasHidden = card.classList.contains('hidden');
+      current = info;
+
+      title.textContent = info.title;
+      text.textContent = info.text;
+
+      image.hidden = !imageUrl;
+      if (imageUrl) image.src = imageUrl;
+      else image.removeAttribute('src');
+
+      link.hidden = !info.link;
+      if (info.link) link.href = info.link;
+      else link.removeAttribute('href');
+
+      render();
+      card.classList.remove('hidden');
+      if (wasHidden) closeButton.focus();
+    },
+
+    hide() {
+      current = null;
+      card.classList.add('hidden');
+    },
+
+    remove() {
+      removeLocaleListener();
+      card.remove();
+    }
+  };
+
+  render();
+  return infoCard;
+}
+
+// Add a language picker. onChange(locale) is called with the chosen locale.
+// Returns a function that removes it again.
+export function createLocaleSelect(parent, onChange) {
+  const select = document.createElement('select');
+  select.className = 'locale-select';
+
+  Object.entries(LOCALES).forEach(([code, { name }]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+
+  const render = () => {
+    select.value = getLocale();
+    select.setAttribute('aria-label', t('language'));
+  };
+
+  select.addEventListener('change', () => onChange(select.value));
+  parent.appendChild(select);
+
+  render();
+  const removeLocaleListener = onLocaleChange(render);
+
+  return () => {
+    removeLocaleListener();
+    select.remove();
+  };
+}
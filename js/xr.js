@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+import { t } from './locales.js';
+import { loadSceneContent, stopSceneSequence, handleTargetFound, updateScene } from './scene.js';
+
+// Steepest slope (as the up component of the surface normal) still taken for floor
+const FLOOR_MIN_UP = 0.9;
+
+// Whether the browser can show the scene in the room without a poster, with a
+// WebXR immersive-ar session. Hit testing is asked for when the session starts.
+export async function isWorldTrackingSupported() {
+  if (!navigator.xr || typeof navigator.xr.isSessionSupported !== 'function') return false;
+
+  try {
+    return await navigator.xr.isSessionSupported('immersive-ar');
+  } catch (error) {
+    console.warn('Could not check for WebXR AR support:', error);
+    return false;
+  }
+}
+
+// Ring on the floor where a tap would place the scene
+function createReticle() {
+  const geometry = new THREE.RingGeometry(0.15, 0.2, 32).rotateX(-Math.PI / 2);
+  const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+  const reticle = new THREE.Mesh(geometry, material);
+
+  reticle.matrixAutoUpdate = false; // Set straight from the hit test pose
+  reticle.visible = false;
+  return reticle;
+}
+
+// Set up world mode in the experience's container: the first scene is placed
+// at life size on the floor where the user taps, tracked by WebXR instead of a
+// poster. Tapping again moves it. The session is started straight away when
+// the browser allows it, otherwise from an Enter AR button.
+//
+// Returns { stop() }, which ends the session and removes the button and hint.
+export async function initializeWorldAR(experience) {
+  const { container, manifest } = experience;
+  const overlay = experience.overlay || container;
+  const definition = manifest.scenes[0];
+
+  const width = container.clientWidth || window.innerWidth;
+  const height = container.clientHeight || window.innerHeight;
+
+  const scene = new THREE.Scene();
+
+  // Replaced by the device's own camera while the session runs
+  const camera = new THREE.PerspectiveCamera(70, width / height, 0.01, 100);
+
+  const renderer = new THREE.WebGLRenderer({
+    antialias: true,
+    alpha: true // The camera feed shows through
+  });
+  renderer.setSize(width, height);
+  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.setClearColor(0x000000, 0);
+  renderer.sortObjects = true;
+  renderer.xr.enabled = true;
+  renderer.xr.setReferenceSpaceType('local');
+
+  container.appendChild(renderer.domElement);
+  Object.assign(experience, { scene, camera, renderer });
+
+  // Add lighting
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
+  directionalLight.position.set(1, 2, 3);
+  scene.add(directionalLight);
+
+  const ambientLight = new THREE.AmbientLight(0xffffff, 1.0);
+  scene.add(ambientLight);
+
+  const reticle = createReticle();
+  scene.add(reticle);
+
+  // Everything in the scene, hidden until it is placed. Scene units are scaled to metres.
+  const containerGroup = new THREE.Group();
+  containerGroup.scale.setScalar(definition.placement.worldScale);
+  containerGroup.visible = false;
+  scene.add(containerGroup);
+
+  const runtime = await loadSceneContent(experience, definition, containerGroup);
+  runtime.group = containerGroup;
+  experience.runtimes = [runtime];
+
+  // Prompts shown over the camera while the scene has not been placed
+  const hint = document.createElement('div');
+  hint.className = 'world-hint hidden';
+  hint.setAttribute('role', 'status');
+  container.appendChild(hint);
+
+  const enterButton = document.createElement('button');
+  enterButton.className = 'world-enter hidden';
+  container.appendChild(enterButton);
+
+  let session = null;
+  let hitTestSource = null;
+  let placed = false;
+  let failed = false; // Whether the last try at starting the session failed
+  const viewerPosition = new THREE.Vector3();
+
+  // Show the prompt for where things are, in the current language
+  const updateOverlay = () => {
+    let message = '';
+    if (failed) {
+      message = t('errorWorldStart');
+    } else if (session && !placed) {
+      message = t(reticle.visible ? 'worldPlace' : 'worldScanning');
+    }
+    if (hint.textContent !== message) hint.textContent = message;
+    hint.classList.toggle('hidden', !message);
+
+    const label = t('worldEnter');
+    if (enterButton.textContent !== label) enterButton.textContent = label;
+    enterButton.classList.toggle('hidden', Boolean(session));
+  };
+
+  // Put the scene on the floor where the reticle is, turned to face the viewer
+  const handleSelect = () => {
+    if (!reticle.visible) return;
+
+    containerGroup.position.setFromMatrixPosition(reticle.matrix);
+    renderer.xr.getCamera().getWorldPosition(viewerPosition);
+    containerGroup.rotation.set(0, Math.atan2(
+      viewerPosition.x - containerGroup.position.x,
+      viewerPosition.z - containerGroup.position.z
+    ) + THREE.MathUtils.degToRad(definition.placement.rotation), 0);
+    containerGroup.visible = true;
+
+    // The first placement starts the sequence, as finding a poster does
+    if (!placed) {
+      placed = true;
+      handleTargetFound(experience, runtime);
+    }
+  };
+
+  // Back to the Enter AR button when the user leaves, such as with the back button
+  const handleEnd = () => {
+    session.removeEventListener('select', handleSelect);
+    session.removeEventListener('end', handleEnd);
+    session = null;
+    hitTestSource = null;
+
+    stopSceneSequence(runtime);
+    placed = false;
+    containerGroup.visible = false;
+    reticle.visible = false;
+
+    experience.onTargetLost(definition);
+  };
+
+  // Taps on controls over the camera are theirs, not a placement
+  const handleBeforeSelect = event => {
+    if (event.target.closest('button, a, input, select')) event.preventDefault();
+  };
+
+  const startSession = async () => {
+    const nextSession = await navigator.xr.requestSession('immersive-ar', {
+      requiredFeatures: ['hit-test'],
+      optionalFeatures: ['dom-overlay'],
+      domOverlay: { root: overlay }
+    });
+
+    session = nextSession;
+    failed = false;
+    session.addEventListener('select', handleSelect);
+    session.addEventListener('end', handleEnd);
+
+    try {
+      await renderer.xr.setSession(session);
+
+      // Hit test straight out from the middle of the screen
+      const viewerSpace = await session.requestReferenceSpace('viewer');
+      hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+    } catch (error) {
+      nextSession.end().catch(() => {});
+      throw error;
+    }
+  };
+
+  enterButton.addEventListener('click', () => {
+    experience.unlockAudio();
+    startSession().catch(error => {
+      console.error('Error starting WebXR session:', error);
+      failed = true;
+    });
+  });
+  overlay.addEventListener('beforexrselect', handleBeforeSelect);
+
+  // Animation loop - frame is only set while the session runs
+  renderer.setAnimationLoop((time, frame) => {
+    const delta = experience.clock.getDelta();
+
+    if (frame && hitTestSource) {
+      const results = frame.getHitTestResults(hitTestSource);
+      const pose = results.length > 0 ? results[0].getPose(renderer.xr.getReferenceSpace()) : null;
+
+      // Only level surfaces; the pose's y axis is the surface normal
+      if (pose) reticle.matrix.fromArray(pose.transform.matrix);
+      reticle.visible = Boolean(pose) && reticle.matrix.elements[5] >= FLOOR_MIN_UP;
+    }
+
+    experience.runtimes.forEach(runtime => {
+      updateScene(runtime, delta);
+    });
+    experience.picker.update();
+    updateOverlay();
+
+    renderer.render(scene, camera);
+  });
+
+  // Browsers that need a fresh tap to start the session get the button instead
+  try {
+    await startSession();
+  } catch (error) {
+    if (error.name !== 'SecurityError' && error.name !== 'NotAllowedError') {
+      console.error('Error starting WebXR session:', error);
+      overlay.removeEventListener('beforexrselect', handleBeforeSelect);
+      throw new Error(t('errorWorldStart'));
+    }
+  }
+  updateOverlay();
+
+  return {
+    async stop() {
+      overlay.removeEventListener('beforexrselect', handleBeforeSelect);
+
+      if (session) {
+        await session.end().catch(error => {
+          console.warn('Error ending WebXR session:', error);
+        });
+      }
+
+      reticle.geometry.dispose();
+      reticle.material.dispose();
+      hint.remove();
+      enterButton.remove();
+    }
+  };
+}
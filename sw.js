@@ -0,0 +1,263 @@
+// Service worker that keeps the experience working offline after one visit
+
+// Bump this when deploying changed files so clients drop the old cache
+const CACHE_VERSION = 22;
+const CACHE_NAME = `safra-ar-v${CACHE_VERSION}`;
+const CACHE_PREFIX = 'safra-ar-';
+
+// Scene manifest - always tried on the network first so new content shows up
+const SCENE_MANIFEST = 'scene.json';
+
+// App shell - required for the install to succeed
+const APP_SHELL = [
+  './',
+  'index.html',
+  'style.min.css',
+  'js/main.js',
+  'js/experience.js',
+  'js/component.js',
+  'js/config.js',
+  'js/assets.js',
+  'js/models.js',
+  'js/materials.js',
+  'js/scene.js',
+  'js/timeline.js',
+  'js/easing.js',
+  'js/audio.js',
+  'js/captions.js',
+  'js/locales.js',
+  'js/effects.js',
+  'js/reveal.js',
+  'js/particles.js',
+  'js/picking.js',
+  'js/placement.js',
+  'js/ui.js',
+  'js/textPanel.js',
+  'js/ar.js',
+  'js/xr.js',
+  'js/testScene.js',
+  'locales/zh.json',
+  'locales/ms.json',
+  'locales/ta.json',
+  SCENE_MANIFEST
+];
+
+// The bundle index.html loads, with three.js and MindAR built in. Empty here, as
+// a checkout has no bundle; npm run build fills it in the copy it puts in dist/.
+// Without the bundle the page falls back to the import map's CDN modules,
+// which are cached as they are used.
+const RUNTIME_MODULES = [];
+
+// How long pages and manifests wait for the network before the cached copy is used (ms)
+const NETWORK_TIMEOUT = 3000;
+
+// Hosts whose responses are cached as they are used
+const CACHEABLE_HOSTS = [self.location.host, 'unpkg.com', 'cdn.jsdelivr.net'];
+
+// List the target, models, textures, soundtracks and captions a scene manifest uses
+function getSceneAssetUrls(manifest) {
+  const urls = [manifest.target];
+  const scenes = manifest.version === 1 ? [manifest] : (manifest.scenes || []);
+
+  scenes.forEach(scene => {
+    (scene.models || []).forEach(model => {
+      if (model.enabled === false) return;
+      urls.push(model.path, ...(model.textures || []), model.sfx, model.sound && model.sound.src);
+      urls.push(model.info && model.info.image);
+    });
+
+    if (scene.audio) {
+      urls.push(scene.audio.src, ...(scene.audio.stems || []).map(stem => stem.src));
+      urls.push(scene.audio.captions && scene.audio.captions.src);
+
+      // Every language's recordings, so the language can be changed offline
+      Object.values(scene.audio.locales || {}).forEach(localeAudio => {
+        urls.push(localeAudio.src, localeAudio.captions, ...(localeAudio.stems || []).map(stem => stem.src));
+      });
+    }
+  });
+
+  return urls.filter(Boolean);
+}
+
+// Fetch the scene manifest, preferring the network
+async function fetchSceneManifest() {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(SCENE_MANIFEST, { cache: 'no-cache' });
+    if (response.ok) {
+      await cache.put(SCENE_MANIFEST, response.clone());
+      return response.json();
+    }
+  } catch (error) {
+    console.warn('Scene manifest not reachable, using cached copy:', error);
+  }
+
+  const cached = await cache.match(SCENE_MANIFEST);
+  return cached ? cached.json() : null;
+}
+
+// Make sure every URL is in the cache, returning the ones that could not be fetched
+async function cacheUrls(urls) {
+  const cache = await caches.open(CACHE_NAME);
+  const failed = [];
+
+  await Promise.all([...new Set(urls)].map(async url => {
+    const request = new Request(new URL(url, self.location.href).href);
+    if (await cache.match(request)) return;
+
+    try {
+      const response = await fetch(request);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      await cache.put(request, response);
+    } catch (error) {
+      console.warn(`Could not cache ${url}:`, error);
+      failed.push(url);
+    }
+  }));
+
+  return failed;
+}
+
+// Cache everything the experience needs, including any extra URLs from the page
+async function cacheExperience(extraUrls = []) {
+  const manifest = await fetchSceneManifest();
+  const sceneUrls = manifest ? getSceneAssetUrls(manifest) : [];
+
+  return cacheUrls([...APP_SHELL, ...RUNTIME_MODULES, ...sceneUrls, ...extraUrls]);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    // The app shell must be cached; the rest is best effort and retried later
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+    await cacheExperience();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    // Remove caches from previous versions
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+// Network first, falling back to the cache when offline or when the network
+// takes longer than NETWORK_TIMEOUT. A late response still updates the cache.
+async function networkFirst(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+
+  const fromNetwork = fetch(request).then(response => {
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+  event.waitUntil(fromNetwork.catch(() => {}));
+
+  const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT, null));
+
+  try {
+    const response = await Promise.race([fromNetwork, timeout]);
+    if (response) return response;
+  } catch (error) {
+    console.warn(`Network unavailable for ${request.url}, trying the cache:`, error);
+  }
+
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  // Nothing cached - wait for the network after all
+  return fromNetwork;
+}
+
+// Serve the cached copy straight away and refresh it from the network for next time
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const fromNetwork = fetch(request).then(async response => {
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (!cached) return fromNetwork;
+
+  event.waitUntil(fromNetwork.catch(() => {}));
+  return cached;
+}
+
+// Cache first, caching anything fetched from the network
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (!CACHEABLE_HOSTS.includes(url.host)) return;
+
+  // Pages and manifests (scene.json, or one picked with ?scene=) change between
+  // campaigns, so prefer fresh copies when the network answers in time
+  if (request.mode === 'navigate' || url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirst(event));
+    return;
+  }
+
+  // Our own scripts, the bundle among them, come from this CACHE_VERSION's
+  // cache without waiting on the network. They are refreshed in the background,
+  // so a deploy that forgets to bump CACHE_VERSION still arrives a load later.
+  if (url.host === self.location.host && url.pathname.endsWith('.js')) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
+  // Range requests (streamed audio) go to the network, with the cached file as a fallback
+  if (request.headers.has('range')) {
+    event.respondWith(fetch(request).catch(() => caches.match(request.url, { ignoreSearch: true })));
+    return;
+  }
+
+  event.respondWith(cacheFirst(request));
+});
+
+// The page asks for extra URLs to be cached and whether everything is available offline
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'cache-assets') return;
+
+  event.waitUntil((async () => {
+    const failed = await cacheExperience(event.data.urls || []);
+
+    if (event.source) {
+      event.source.postMessage({
+        type: failed.length === 0 ? 'offline-ready' : 'offline-incomplete',
+        version: CACHE_VERSION,
+        failed
+      });
+    }
+  })());
+});
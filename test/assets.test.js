@@ -0,0 +1,102 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAssetLoader } from '../js/assets.js';
+import { installBrowserGlobals } from './helpers.js';
+
+installBrowserGlobals();
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Respond to fetch() with each status in turn, then keep returning the last
+function mockFetch(statuses) {
+  let calls = 0;
+
+  globalThis.fetch = mock.fn(async () => {
+    const status = statuses[Math.min(calls++, statuses.length - 1)];
+    return new Response(status === 200 ? new Uint8Array([1, 2, 3, 4]) : null, { status });
+  });
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+  delete globalThis.fetch;
+});
+
+test('a failed download is retried after a doubling delay', async () => {
+  mockFetch([503, 503, 200]);
+  const assets = createAssetLoader();
+  const done = assets.preload([{ url: 'models/ship.glb', label: 'Ship' }]);
+
+  await settle();
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.equal(assets.assets['http://localhost/models/ship.glb'].status, 'retrying');
+
+  // Not before the first 500ms delay is up
+  mock.timers.tick(499);
+  await settle();
+  assert.equal(fetch.mock.callCount(), 1);
+
+  mock.timers.tick(1);
+  await settle();
+  assert.equal(fetch.mock.callCount(), 2);
+
+  // Then 1000ms before the third attempt
+  mock.timers.tick(999);
+  await settle();
+  assert.equal(fetch.mock.callCount(), 2);
+
+  mock.timers.tick(1);
+  assert.deepEqual(await done, []);
+  assert.equal(fetch.mock.callCount(), 3);
+  assert.equal(assets.getBuffer('models/ship.glb').byteLength, 4);
+});
+
+test('a download that keeps failing is given up after maxRetries', async () => {
+  mockFetch([503]);
+  const assets = createAssetLoader();
+  const done = assets.preload([{ url: 'safra.mp3' }]);
+
+  for (const delay of [500, 1000, 2000]) {
+    await settle();
+    mock.timers.tick(delay);
+  }
+
+  const failed = await done;
+  assert.equal(failed.length, 1);
+  assert.equal(failed[0].status, 'failed');
+  assert.equal(failed[0].attempts, 4);
+  assert.equal(assets.getBuffer('safra.mp3'), null);
+});
+
+test('a missing file is not retried', async () => {
+  mockFetch([404]);
+  const assets = createAssetLoader();
+
+  const failed = await assets.preload([{ url: 'missing.fbx' }]);
+  assert.equal(failed.length, 1);
+  assert.equal(failed[0].error.status, 404);
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('preloading again skips files already loaded and retries ones that failed', async () => {
+  mock.timers.reset();
+  mockFetch([404, 200]);
+  const assets = createAssetLoader();
+
+  const failed = await assets.preload([{ url: 'models/ship.glb' }, { url: 'models/soldier.fbx' }]);
+  assert.equal(failed.length, 1);
+  assert.equal(fetch.mock.callCount(), 2);
+
+  assert.deepEqual(await assets.preload([{ url: 'models/ship.glb' }, { url: 'models/soldier.fbx' }]), []);
+  assert.equal(fetch.mock.callCount(), 3);
+  assert.equal(assets.getBuffer('models/ship.glb').byteLength, 4);
+  assert.equal(assets.getBuffer('models/soldier.fbx').byteLength, 4);
+});
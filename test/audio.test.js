@@ -0,0 +1,101 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSceneAudio } from '../js/audio.js';
+import { createFakeAudioContext, createStubAssets } from './helpers.js';
+
+// A music bed that does not loop and a voice-over stem
+const AUDIO_CONFIG = { src: 'soundtrack.mp3', loop: false, loopStart: 0, loopEnd: 0, voiceDuck: 0.3 };
+const STEMS = [{ id: 'narration', src: 'narration.mp3', type: 'voice', volume: 1, loop: false }];
+
+let audioContext;
+let audio;
+
+beforeEach(async () => {
+  audioContext = createFakeAudioContext();
+  audio = createSceneAudio(AUDIO_CONFIG, STEMS, audioContext);
+  await audio.load(createStubAssets());
+});
+
+const gainIn = (node, seconds) => node.gain.valueAt(audioContext.currentTime + seconds);
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('returning to the mark plays the music again from where it was marked', () => {
+  audio.play();
+  audioContext.advance(2);
+  audio.mark();
+
+  audioContext.advance(1);
+  const [first] = audioContext.sources;
+  audio.returnToMark();
+
+  assert.equal(first.stoppedAt, audioContext.currentTime);
+  const second = audioContext.sources.at(-1);
+  assert.equal(second.stoppedAt, null);
+  near(second.offset, 2);
+  near(audio.music.getPosition(), 2);
+});
+
+test('returning without a mark leaves the music playing', () => {
+  audio.play();
+  audioContext.advance(2);
+  audio.returnToMark();
+
+  assert.equal(audioContext.sources.length, 1);
+  assert.equal(audioContext.sources[0].stoppedAt, null);
+});
+
+test('a fade in progress is held at the mark and carries on from returnToMark', () => {
+  audio.play();
+  audio.fadeTo(0, 1000);
+  audioContext.advance(0.4);
+  near(audio.sequenceGain.gain.value, 0.6);
+
+  // Held while the sequence is frozen
+  audio.mark();
+  audioContext.advance(2);
+  near(audio.sequenceGain.gain.value, 0.6);
+
+  // Then the remaining 600ms of the fade
+  audio.returnToMark();
+  near(gainIn(audio.sequenceGain, 0.3), 0.3);
+  near(gainIn(audio.sequenceGain, 0.6), 0);
+});
+
+test('ducking ramps the whole mix down over half a second, or at once when immediate', () => {
+  audio.play();
+
+  audio.setDuck(0.2);
+  near(gainIn(audio.master, 0.25), 0.6);
+  near(gainIn(audio.master, 0.5), 0.2);
+
+  audioContext.advance(1);
+  audio.setDuck(1);
+  near(gainIn(audio.master, 0.5), 1);
+
+  audioContext.advance(1);
+  audio.setDuck(0.2, true);
+  near(audio.master.gain.value, 0.2);
+});
+
+test('playing the sequence again undoes a duck and a fade at once', () => {
+  audio.play();
+  audio.setDuck(0.2, true);
+  audio.fadeTo(0, 1000);
+  audioContext.advance(0.5);
+
+  audio.play();
+  assert.equal(audio.master.gain.value, 1);
+  assert.equal(audio.sequenceGain.gain.value, 1);
+  assert.equal(audio.fade, null);
+});
+
+test('the music bed is lowered while the voice-over plays', () => {
+  audio.play();
+  audio.playStem('narration');
+  near(gainIn(audio.buses.music, 0.5), 0.3);
+
+  audioContext.advance(1);
+  audio.stems.narration.stop();
+  audio.updateVoiceDuck();
+  near(gainIn(audio.buses.music, 0.5), 1);
+});
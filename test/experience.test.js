@@ -0,0 +1,131 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExperience } from '../js/experience.js';
+import { installBrowserGlobals, createFakeAudioContext } from './helpers.js';
+
+installBrowserGlobals();
+
+const MANIFEST = {
+  version: 2,
+  target: 'targets/targets.mind',
+  scenes: [
+    {
+      targetIndex: 0,
+      name: 'Test',
+      cycleLength: 6000,
+      audio: { src: 'soundtrack.mp3' },
+      models: [
+        { id: 'ship', path: 'models/ship.glb', position: { x: 0, y: 0, z: 0 }, scale: 1, delay: 0 }
+      ]
+    }
+  ]
+};
+
+// Answer the manifest with MANIFEST and every other file with a few bytes,
+// failing the URLs in `failing` once each
+function mockFetch(failing = []) {
+  const failed = new Set();
+
+  globalThis.fetch = mock.fn(async url => {
+    if (url.endsWith('scene.json')) {
+      return new Response(JSON.stringify(MANIFEST));
+    }
+    if (failing.some(name => url.endsWith(name)) && !failed.has(url)) {
+      failed.add(url);
+      return new Response(null, { status: 404 });
+    }
+    return new Response(new Uint8Array([1, 2, 3, 4]));
+  });
+}
+
+const fetched = () => fetch.mock.calls.map(call => String(call.arguments[0]));
+
+beforeEach(() => {
+  window.AudioContext = function () {
+    return createFakeAudioContext();
+  };
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete globalThis.fetch;
+  delete window.AudioContext;
+});
+
+test('loading again reuses the manifest and the files already preloaded', async () => {
+  mockFetch();
+  const experience = createExperience(null);
+
+  await experience.load();
+  assert.deepEqual(fetched().sort(), [
+    'http://localhost/models/ship.glb',
+    'http://localhost/soundtrack.mp3',
+    'http://localhost/targets/targets.mind',
+    'scene.json'
+  ]);
+
+  await experience.load();
+  assert.equal(fetch.mock.callCount(), 4);
+  assert.equal(experience.manifest.scenes[0].name, 'Test');
+});
+
+test('loading again fetches only the files that failed before', async () => {
+  mockFetch(['models/ship.glb']);
+  const experience = createExperience(null);
+
+  await experience.load();
+  assert.equal(experience.assets.getBuffer('models/ship.glb'), null);
+
+  const before = fetch.mock.callCount();
+  await experience.load();
+  assert.deepEqual(fetched().slice(before), ['http://localhost/models/ship.glb']);
+  assert.equal(experience.assets.getBuffer('models/ship.glb').byteLength, 4);
+});
+
+// The parts of a MindARThree teardown touches: a tracking controller, a
+// camera stream and a resize() that, like MindAR's, only works with a video
+function createFakeMindAR() {
+  const track = { stopped: false, stop() { track.stopped = true; } };
+
+  return {
+    track,
+    resized: 0,
+    video: { srcObject: { getTracks: () => [track] } },
+    ui: {},
+    controller: { dispose: mock.fn() },
+    stop: mock.fn(async () => {}),
+
+    resize() {
+      if (!this.video) return;
+      this.resized++;
+    }
+  };
+}
+
+test('stopping lets go of the camera and leaves MindAR\'s resize listener doing nothing', async () => {
+  const experience = createExperience(null);
+  const mindarThree = createFakeMindAR();
+  const resizeListener = mindarThree.resize.bind(mindarThree);
+  experience.mindarThree = mindarThree;
+
+  await experience.stop();
+  assert.equal(mindarThree.stop.mock.callCount(), 1);
+  assert.equal(mindarThree.track.stopped, true);
+  assert.equal(experience.mindarThree, null);
+
+  resizeListener();
+  assert.equal(mindarThree.resized, 0);
+});
+
+test('stopping disposes MindAR\'s tracking controller and drops it', async () => {
+  const experience = createExperience(null);
+  const mindarThree = createFakeMindAR();
+  const { controller } = mindarThree;
+  experience.mindarThree = mindarThree;
+
+  await experience.stop();
+  assert.equal(controller.dispose.mock.callCount(), 1);
+  assert.equal(mindarThree.controller, null);
+});
@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+import { createModelManager } from '../js/models.js';
+import { createAudioOutput } from '../js/audio.js';
+import { updateScene } from '../js/scene.js';
+
+// Stand-ins for the browser APIs the scene modules touch, so they can run
+// under Node. Only what the modules use is implemented.
+
+// 2D canvas context that measures every character as 10px and draws nothing
+function createFakeContext2D() {
+  const context = {
+    measureText: text => ({ width: text.length * 10 })
+  };
+
+  return new Proxy(context, {
+    get: (target, key) => (key in target ? target[key] : () => {})
+  });
+}
+
+// localStorage kept in memory
+function createFakeStorage() {
+  const values = new Map();
+
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key),
+    clear: () => values.clear()
+  };
+}
+
+// Install document, window and localStorage on the global object
+export function installBrowserGlobals() {
+  globalThis.document = {
+    baseURI: 'http://localhost/',
+    createElement: () => ({ width: 0, height: 0, getContext: createFakeContext2D })
+  };
+  globalThis.window = { devicePixelRatio: 1, addEventListener() {}, removeEventListener() {} };
+  globalThis.localStorage = createFakeStorage();
+}
+
+// AudioParam that records its automation, so a gain can be read at any
+// context time. Cancelling holds the value reached at that time, which is
+// what a browser reports as .value part way through a ramp.
+function createFakeParam(context, initial) {
+  let events = [{ time: 0, value: initial, ramp: false }];
+
+  const schedule = event => {
+    events.push(event);
+    events.sort((a, b) => a.time - b.time);
+  };
+
+  return {
+    get value() {
+      return this.valueAt(context.currentTime);
+    },
+
+    set value(value) {
+      events = [{ time: 0, value, ramp: false }];
+    },
+
+    setValueAtTime(value, time) {
+      schedule({ time, value, ramp: false });
+    },
+
+    linearRampToValueAtTime(value, time) {
+      schedule({ time, value, ramp: true });
+    },
+
+    cancelScheduledValues(time) {
+      const held = this.valueAt(time);
+      events = events.filter(event => event.time < time);
+      schedule({ time, value: held, ramp: false });
+    },
+
+    // The value at a context time (seconds), following any linear ramps
+    valueAt(time) {
+      let previous = events[0];
+
+      for (const event of events) {
+        if (event.time <= time) {
+          previous = event;
+        } else {
+          if (event.ramp) {
+            const progress = (time - previous.time) / (event.time - previous.time);
+            return previous.value + (event.value - previous.value) * progress;
+          }
+          break;
+        }
+      }
+
+      return previous.value;
+    }
+  };
+}
+
+// AudioContext with a clock that only moves when advance() is called.
+// Every decoded file lasts `duration` seconds, and every source node created
+// is kept in `sources` with the offset it started at and when it was stopped.
+export function createFakeAudioContext({ duration = 30 } = {}) {
+  const node = () => ({ connect() {}, disconnect() {} });
+
+  const context = {
+    currentTime: 0,
+    state: 'running',
+    destination: node(),
+    sources: [],
+
+    resume() {
+      context.state = 'running';
+      return Promise.resolve();
+    },
+
+    createGain() {
+      return { ...node(), gain: createFakeParam(context, 1) };
+    },
+
+    createBufferSource() {
+      const source = {
+        ...node(),
+        buffer: null,
+        loop: false,
+        offset: null, // Offset (seconds) it was started at, or null
+        stoppedAt: null, // Context time it stops at, or null while playing
+        onended: null,
+
+        start(when, offset = 0) {
+          source.offset = offset;
+        },
+
+        stop(when = 0) {
+          source.stoppedAt = Math.max(when, context.currentTime);
+        }
+      };
+
+      context.sources.push(source);
+      return source;
+    },
+
+    decodeAudioData() {
+      return Promise.resolve({ duration, numberOfChannels: 2, sampleRate: 44100 });
+    },
+
+    // Move the clock on by the given seconds
+    advance(seconds) {
+      context.currentTime += seconds;
+    }
+  };
+
+  return context;
+}
+
+// A model with one 2 second animation turning it about its vertical axis
+function createStubModel() {
+  const object = new THREE.Group();
+  object.add(new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshStandardMaterial()));
+
+  const track = new THREE.NumberKeyframeTrack('.rotation[y]', [0, 2], [0, Math.PI]);
+  const animations = [new THREE.AnimationClip('turn', 2, [track])];
+
+  return { object, animations };
+}
+
+// Loaders for createModelManager() that return a stub model for any file,
+// in the shape FBXLoader and GLTFLoader return theirs
+export function createStubLoaders() {
+  const fbx = () => {
+    const { object, animations } = createStubModel();
+    object.animations = animations;
+    return object;
+  };
+
+  const gltf = () => {
+    const { object, animations } = createStubModel();
+    return { scene: object, animations };
+  };
+
+  return {
+    fbx: () => ({
+      parse: fbx,
+      loadAsync: async () => fbx()
+    }),
+    gltf: () => ({
+      parseAsync: async () => gltf(),
+      loadAsync: async () => gltf()
+    })
+  };
+}
+
+// Asset loader with every file preloaded as a few empty bytes
+export function createStubAssets() {
+  return {
+    getBuffer: () => new ArrayBuffer(8),
+    getObjectURL: () => null
+  };
+}
+
+// The parts of an experience loadSceneContent() and the tracking handlers
+// use, with the callbacks they make recorded in `events`
+export function createFakeExperience(manifest, audioContext) {
+  const assets = createStubAssets();
+  const events = [];
+
+  return {
+    manifest,
+    runtimes: [],
+    assets,
+    models: createModelManager(assets, createStubLoaders()),
+    audioContext,
+    audioOutput: createAudioOutput(audioContext),
+    scene: new THREE.Scene(),
+    captionsEnabled: false,
+    events,
+
+    getAudioListener: () => null,
+    onCaption() {},
+    onSequenceEnd: definition => events.push(['sequenceEnd', definition.targetIndex]),
+    onTargetFound: definition => events.push(['targetFound', definition.targetIndex]),
+    onTargetLost: definition => events.push(['targetLost', definition.targetIndex])
+  };
+}
+
+// Run the render loop for the given milliseconds in frames of `step` ms,
+// moving the audio clock along with it
+export function advance(runtime, audioContext, ms, step = 50) {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    audioContext.advance(step / 1000);
+    updateScene(runtime, step / 1000);
+  }
+}
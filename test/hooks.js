@@ -0,0 +1,11 @@
+// Module resolution for the tests, registered by register.js. The page gets
+// MindAR from its import map or the bundle; under Node it gets an empty stand-in,
+// and tests give an experience their own fake MindAR instance.
+const MINDAR_STUB = 'data:text/javascript,export class MindARThree {}';
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'mindar-image-three') {
+    return { url: MINDAR_STUB, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
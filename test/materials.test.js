@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { fixMaterial, fixGeometry } from '../js/materials.js';
+
+test('a Phong material is replaced by a standard one with its colour, texture and normal map', () => {
+  const map = new THREE.Texture();
+  const normalMap = new THREE.Texture();
+  const phong = new THREE.MeshPhongMaterial({
+    color: 0x336699,
+    map,
+    normalMap,
+    normalScale: new THREE.Vector2(2, 3),
+    transparent: true,
+    opacity: 0.5
+  });
+
+  const fixed = fixMaterial(phong);
+  assert.equal(fixed.isMeshStandardMaterial, true);
+  assert.equal(fixed.color.getHex(), 0x336699);
+  assert.equal(fixed.map, map);
+  assert.equal(map.colorSpace, THREE.SRGBColorSpace);
+  assert.equal(fixed.normalMap, normalMap);
+  assert.deepEqual(fixed.normalScale.toArray(), [2, 3]);
+  assert.equal(fixed.transparent, true);
+  assert.equal(fixed.opacity, 0.5);
+  assert.equal(fixed.side, THREE.DoubleSide);
+  assert.equal(fixed.roughness, 0.6);
+  assert.equal(fixed.metalness, 0);
+});
+
+test('other materials are fixed in place, with transparent ones made opaque and alpha tested', () => {
+  const map = new THREE.Texture();
+  const material = new THREE.MeshStandardMaterial({ map, transparent: true, opacity: 0.3 });
+  const { version } = material;
+
+  assert.equal(fixMaterial(material), material);
+  assert.equal(material.side, THREE.DoubleSide);
+  assert.equal(material.opacity, 1);
+  assert.equal(material.alphaTest, 0.01);
+  assert.equal(material.depthWrite, true);
+  assert.equal(map.colorSpace, THREE.SRGBColorSpace);
+  assert.ok(material.version > version, 'marked for recompiling');
+});
+
+test('an opaque material keeps its opacity and alpha test', () => {
+  const material = new THREE.MeshBasicMaterial({ opacity: 0.8 });
+
+  fixMaterial(material);
+  assert.equal(material.opacity, 0.8);
+  assert.equal(material.alphaTest, 0);
+});
+
+test('a geometry gets normals computed, replacing any it had', () => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0, 1, 0, 0, 0, 1, 0], 3));
+
+  assert.equal(fixGeometry(geometry), geometry);
+  assert.deepEqual([...geometry.attributes.normal.array], [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+
+  // Broken normals are recomputed from the faces
+  geometry.attributes.normal.array.fill(0);
+  fixGeometry(geometry);
+  assert.deepEqual([...geometry.attributes.normal.array], [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+});
@@ -0,0 +1,4 @@
+// Loaded with node --import before the tests (see package.json)
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
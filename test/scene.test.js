@@ -0,0 +1,244 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { prepareSceneManifest } from '../js/config.js';
+import { loadSceneContent, handleTargetFound, handleTargetLost } from '../js/scene.js';
+import { installBrowserGlobals, createFakeAudioContext, createFakeExperience, advance } from './helpers.js';
+
+installBrowserGlobals();
+
+// A six second cycle: a soldier at 1s with a spotlight, a ship at 2s, and
+// the soundtrack fading out over the last second
+function createManifest(tracking = {}) {
+  return prepareSceneManifest({
+    version: 2,
+    target: 'targets/targets.mind',
+    tracking: { onLost: 'resume', resumeWindow: 2000, resetAfter: 4000, duckVolume: 0.2, ...tracking },
+    scenes: [
+      {
+        targetIndex: 0,
+        name: 'Test',
+        cycleLength: 6000,
+        audio: { src: 'soundtrack.mp3', fadeOutDuration: 1000 },
+        models: [
+          { id: 'soldier', path: 'models/soldier.fbx', position: { x: 0, y: 0, z: 0 }, scale: 0.01, delay: 1000 },
+          { id: 'ship', path: 'models/ship.glb', position: { x: 1, y: 0, z: 0 }, scale: 1, delay: 2000 }
+        ],
+        spotlights: [{ model: 'soldier', scale: 1 }],
+        textPanels: [
+          { id: 'headline', style: 'headline', lines: ['Ever Ready'], position: { x: 0, y: 2, z: 0 } }
+        ]
+      }
+    ]
+  });
+}
+
+let audioContext;
+let experience;
+let runtime;
+
+async function loadScene(tracking) {
+  const manifest = createManifest(tracking);
+  audioContext = createFakeAudioContext();
+  experience = createFakeExperience(manifest, audioContext);
+  runtime = await loadSceneContent(experience, manifest.scenes[0], new THREE.Group());
+  experience.runtimes.push(runtime);
+}
+
+const model = id => experience.models.models[`0/${id}`].object;
+const action = id => experience.models.actions[`0/${id}`].turn;
+const spotlight = () => runtime.spotlights[0].spotlight;
+const gain = node => node.gain.value;
+const playingSources = () => audioContext.sources.filter(source => source.stoppedAt === null);
+
+beforeEach(() => loadScene());
+
+test('models, animations and spotlights start hidden and paused', () => {
+  assert.equal(model('soldier').visible, false);
+  assert.equal(model('ship').visible, false);
+  assert.equal(action('soldier').paused, true);
+  assert.equal(spotlight().beam.visible, false);
+  assert.equal(spotlight().light.intensity, 0);
+  assert.equal(playingSources().length, 0);
+});
+
+test('finding the target plays the sequence and the soundtrack from the top', () => {
+  handleTargetFound(experience, runtime);
+
+  assert.equal(runtime.timeline.playing, true);
+  assert.deepEqual(experience.events, [['targetFound', 0]]);
+  assert.equal(playingSources().length, 1);
+  assert.equal(playingSources()[0].offset, 0);
+  assert.equal(gain(runtime.audio.sequenceGain), 1);
+  assert.equal(gain(runtime.audio.master), 1);
+});
+
+test('each model is revealed with its animation running at its delay', () => {
+  handleTargetFound(experience, runtime);
+
+  advance(runtime, audioContext, 900);
+  assert.equal(model('soldier').visible, false);
+
+  advance(runtime, audioContext, 200);
+  assert.equal(model('soldier').visible, true);
+  assert.equal(model('ship').visible, false);
+  assert.equal(action('soldier').paused, false);
+
+  const time = action('soldier').time;
+  advance(runtime, audioContext, 500);
+  assert.ok(action('soldier').time > time, 'the animation moves on');
+
+  advance(runtime, audioContext, 1000);
+  assert.equal(model('ship').visible, true);
+  assert.equal(action('ship').paused, false);
+});
+
+test('the spotlight turns on with its model', () => {
+  handleTargetFound(experience, runtime);
+
+  advance(runtime, audioContext, 900);
+  assert.equal(spotlight().beam.visible, false);
+
+  // Fully on once its 600ms warm-up is over
+  advance(runtime, audioContext, 800);
+  assert.equal(spotlight().beam.visible, true);
+  assert.equal(spotlight().light.intensity, 2);
+});
+
+test('the soundtrack fades out as the cycle ends and the sequence starts again', () => {
+  handleTargetFound(experience, runtime);
+
+  advance(runtime, audioContext, 5000);
+  assert.equal(gain(runtime.audio.sequenceGain), 1);
+
+  advance(runtime, audioContext, 500);
+  assert.ok(Math.abs(gain(runtime.audio.sequenceGain) - 0.5) < 0.06, 'half way through the fade');
+
+  // Back at the top: everything hidden again and the soundtrack restarted at full volume
+  advance(runtime, audioContext, 600);
+  assert.deepEqual(experience.events.at(-1), ['sequenceEnd', 0]);
+  assert.equal(model('soldier').visible, false);
+  assert.equal(spotlight().beam.visible, false);
+  assert.equal(gain(runtime.audio.sequenceGain), 1);
+  assert.equal(playingSources().length, 1);
+  assert.ok(playingSources()[0].offset < 0.1);
+});
+
+test('losing the target freezes the sequence with the soundtrack ducked', () => {
+  handleTargetFound(experience, runtime);
+  advance(runtime, audioContext, 1500);
+
+  handleTargetLost(experience, runtime);
+  assert.equal(runtime.timeline.playing, false);
+  assert.equal(gain(runtime.audio.master), 0.2);
+
+  const time = action('soldier').time;
+  advance(runtime, audioContext, 1000);
+
+  // The scene holds still while the soundtrack carries on underneath
+  assert.equal(model('soldier').visible, true);
+  assert.equal(action('soldier').time, time);
+  assert.equal(spotlight().beam.visible, true);
+  assert.equal(playingSources().length, 1);
+  assert.equal(gain(runtime.audio.master), 0.2);
+});
+
+test('finding the target again within the resume window carries on from the frozen point', () => {
+  handleTargetFound(experience, runtime);
+  advance(runtime, audioContext, 1500);
+  handleTargetLost(experience, runtime);
+  advance(runtime, audioContext, 1000);
+
+  handleTargetFound(experience, runtime);
+  assert.equal(runtime.timeline.playing, true);
+  assert.ok(Math.abs(runtime.timeline.time - 1500) < 1);
+
+  // The soundtrack goes back to where the sequence froze and comes back up
+  assert.equal(playingSources().length, 1);
+  assert.ok(Math.abs(playingSources()[0].offset - 1.5) < 0.01);
+  advance(runtime, audioContext, 600);
+  assert.equal(gain(runtime.audio.master), 1);
+
+  assert.equal(model('soldier').visible, true);
+  assert.equal(action('soldier').paused, false);
+});
+
+test('finding the target after the resume window but before resetAfter starts over', () => {
+  handleTargetFound(experience, runtime);
+  advance(runtime, audioContext, 2500);
+  handleTargetLost(experience, runtime);
+  advance(runtime, audioContext, 3000);
+
+  // Still frozen, not yet reset
+  assert.equal(model('ship').visible, true);
+  assert.equal(gain(runtime.audio.master), 0.2);
+
+  handleTargetFound(experience, runtime);
+  assert.equal(runtime.lostFor, null);
+  assert.equal(runtime.timeline.playing, true);
+  assert.equal(runtime.timeline.time, 0);
+  assert.equal(model('soldier').visible, false);
+  assert.equal(model('ship').visible, false);
+
+  // The soundtrack starts again from the top at full volume
+  assert.equal(playingSources().length, 1);
+  assert.equal(playingSources()[0].offset, 0);
+  assert.equal(gain(runtime.audio.master), 1);
+  assert.equal(gain(runtime.audio.sequenceGain), 1);
+});
+
+test('losing the target during the end fade holds the fade until it is found again', () => {
+  handleTargetFound(experience, runtime);
+  advance(runtime, audioContext, 5400);
+  const faded = gain(runtime.audio.sequenceGain);
+  assert.ok(faded < 1 && faded > 0.5, 'part way through the fade');
+
+  handleTargetLost(experience, runtime);
+  advance(runtime, audioContext, 1000);
+  assert.equal(gain(runtime.audio.sequenceGain), faded);
+
+  // Back at the frozen point, the rest of the fade plays out before the cycle ends
+  handleTargetFound(experience, runtime);
+  assert.ok(Math.abs(playingSources()[0].offset - 5.4) < 0.01);
+  advance(runtime, audioContext, 300);
+  assert.ok(gain(runtime.audio.sequenceGain) < faded);
+  advance(runtime, audioContext, 400);
+  assert.deepEqual(experience.events.at(-1), ['sequenceEnd', 0]);
+});
+
+test('a target gone for longer than resetAfter resets the scene', () => {
+  handleTargetFound(experience, runtime);
+  advance(runtime, audioContext, 2500);
+  handleTargetLost(experience, runtime);
+
+  advance(runtime, audioContext, 4000);
+  assert.equal(runtime.lostFor, null);
+  assert.equal(runtime.timeline.time, 0);
+  assert.equal(model('soldier').visible, false);
+  assert.equal(model('ship').visible, false);
+  assert.equal(action('soldier').paused, true);
+  assert.equal(spotlight().beam.visible, false);
+  assert.equal(playingSources().length, 0);
+
+  // Found again, it starts over rather than resuming
+  handleTargetFound(experience, runtime);
+  assert.equal(runtime.timeline.time, 0);
+  assert.equal(playingSources()[0].offset, 0);
+});
+
+test('with onLost restart, losing the target fades the soundtrack out and hides the scene', async () => {
+  await loadScene({ onLost: 'restart' });
+  handleTargetFound(experience, runtime);
+  advance(runtime, audioContext, 1500);
+
+  handleTargetLost(experience, runtime);
+  assert.equal(runtime.timeline.playing, false);
+  assert.equal(model('soldier').visible, false);
+  assert.equal(spotlight().beam.visible, false);
+
+  const { music } = runtime.audio;
+  const [source] = audioContext.sources;
+  assert.ok(Math.abs(source.stoppedAt - (audioContext.currentTime + 1)) < 1e-9, 'stops when the fade ends');
+  assert.ok(Math.abs(music.gainNode.gain.valueAt(audioContext.currentTime + 0.5) - 0.5) < 1e-9);
+  assert.equal(music.gainNode.gain.valueAt(audioContext.currentTime + 1), 0);
+});